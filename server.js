@@ -3,10 +3,18 @@ const express = require('express');
 const multer = require('multer');
 const fs = require('fs');
 const path = require('path');
-const { exec, execSync } = require('child_process');
+const os = require('os');
+const net = require('net');
+const { spawn } = require('child_process');
+const { pathToFileURL } = require('url');
+const EventEmitter = require('events');
+const crypto = require('crypto');
 const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
 const mongoose = require('mongoose');
+const AdmZip = require('adm-zip');
+const Jimp = require('jimp');
+const sharp = require('sharp');
 
 const app = express();
 const port = process.env.PORT || 3001;
@@ -38,18 +46,106 @@ initializeDirectories();
 const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/dworld';
 console.log("Connecting to MongoDB at: " + mongoUri);
 
+// One rendition of a slide image
+const slideVariantSchema = new mongoose.Schema({
+  format: { type: String, required: true },
+  width: { type: Number },
+  height: { type: Number },
+  url: { type: String, required: true },
+  isMaster: { type: Boolean, default: false }
+}, { _id: false });
+
+// How slide images are rendered - formats, target widths, master DPI and quality
+const renderProfileSchema = new mongoose.Schema({
+  formats: [String],
+  widths: [Number],
+  dpi: Number,
+  quality: Number,
+  builds: Boolean // Render one image per animation build step as well
+}, { _id: false });
+
+// One click of a slide's animation builds, rendered as its own image
+const slideStepSchema = new mongoose.Schema({
+  step: { type: Number, required: true }, // 0 is the slide before the first click
+  imageUrl: { type: String, required: true },
+  width: { type: Number },
+  height: { type: Number }
+}, { _id: false });
+
+// Audio or video placed on a slide, extracted from the source package
+const slideMediaSchema = new mongoose.Schema({
+  type: { type: String, enum: ['audio', 'video'], required: true },
+  url: { type: String, required: true },
+  format: { type: String }, // File extension of url
+  duration: { type: Number }, // Seconds, when ffmpeg could read it
+  position: { x: Number, y: Number, width: Number, height: Number }, // Fractions of the slide size
+  playable: { type: Boolean, default: true } // False when the format needed transcoding but ffmpeg isn't installed
+}, { _id: false });
+
+// One rendered slide - replaces the parallel slides/slideTexts/slideNotes arrays
+const slideItemSchema = new mongoose.Schema({
+  index: { type: Number, required: true }, // 0-based position in the deck
+  imageUrl: { type: String, required: true },
+  thumbnailUrl: { type: String },
+  width: { type: Number },
+  height: { type: Number },
+  text: { type: String, default: '' },
+  notes: { type: String, default: '' },
+  structure: { type: mongoose.Schema.Types.Mixed },
+  isPlaceholder: { type: Boolean, default: false },
+  checksum: { type: String }, // SHA-256 of the image file
+  variants: [slideVariantSchema], // Master image plus resized/reformatted renditions
+  steps: [slideStepSchema], // Build steps in click order - empty when the slide has no builds
+  media: [slideMediaSchema]
+}, { _id: false });
+
 // Define MongoDB schema for presentations
+// Snapshot of one converted revision - the top-level presentation fields mirror the current one
+const revisionSchema = new mongoose.Schema({
+  version: { type: Number, required: true },
+  originalName: { type: String },
+  inputFormat: { type: String },
+  contentHash: { type: String },
+  assetsFrom: { type: String },
+  renderProfile: renderProfileSchema,
+  slideCount: { type: Number, default: 0 },
+  slideItems: [slideItemSchema],
+  slides: [String],
+  slideTexts: [String],
+  slideNotes: [String],
+  slideStructure: [mongoose.Schema.Types.Mixed],
+  sourceSlideCount: { type: Number },
+  hiddenSlides: [Number],
+  placeholderSlides: [Number],
+  slideCountMismatch: { type: Boolean, default: false },
+  isPlaceholder: { type: Boolean, default: false },
+  converted: { type: Date }
+}, { _id: false });
+
 const presentationSchema = new mongoose.Schema({
   id: { type: String, required: true, unique: true },
   originalName: { type: String, required: true },
+  inputFormat: { type: String }, // Uploaded file's format, e.g. pptx, ppsx, odp, key or pdf, or 'images'/'markdown'
   title: { type: String, required: true },
   summary: { type: String, default: '' },
   author: { type: String, default: 'Anonymous' },
   authorId: { type: String },
   topics: [String],
   slideCount: { type: Number, default: 0 },
-  slides: [String], // Array of slide URLs
-  slideTexts: [String], // Array of slide texts
+  renderProfile: renderProfileSchema,
+  slideItems: [slideItemSchema], // Per-slide data - the arrays below are kept for older clients
+  slides: [String], // DEPRECATED: Array of slide URLs, use slideItems
+  slideTexts: [String], // DEPRECATED: Array of slide texts, use slideItems
+  slideNotes: [String], // DEPRECATED: Speaker notes per slide, use slideItems
+  slideStructure: [mongoose.Schema.Types.Mixed], // DEPRECATED: { title, bullets, tables, images } per slide, use slideItems
+  sourceSlideCount: { type: Number }, // Slides in the uploaded file, including hidden ones
+  hiddenSlides: [Number], // 1-based numbers of slides hidden in the source
+  placeholderSlides: [Number], // 1-based numbers of slides that are generated placeholders
+  slideCountMismatch: { type: Boolean, default: false }, // Rasterized slides differ from visible source slides
+  contentHash: { type: String, index: true }, // SHA-256 of the uploaded file, used to skip re-converting duplicates
+  assetsFrom: { type: String }, // Id of the presentation whose slide files this record shares
+  currentVersion: { type: Number, default: 1 },
+  revisions: [revisionSchema], // Every converted revision, including the current one; empty until the first new version
   converted: { type: Date, default: Date.now },
   isPlaceholder: { type: Boolean, default: false },
   viewCount: { type: Number, default: 0 },
@@ -58,6 +154,62 @@ const presentationSchema = new mongoose.Schema({
 
 const Presentation = mongoose.model('Presentation', presentationSchema);
 
+// Conversion job states, in pipeline order
+const JOB_STATES = ['queued', 'converting', 'rasterizing', 'extracting-text', 'saving', 'done', 'failed'];
+const TERMINAL_JOB_STATES = ['done', 'failed'];
+
+// Define MongoDB schema for conversion jobs
+const conversionJobSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  presentationId: { type: String, required: true },
+  status: { type: String, enum: JOB_STATES, default: 'queued' },
+  originalName: { type: String, required: true },
+  inputFormat: { type: String }, // 'images' or 'markdown' for presentations built from those
+  inputPath: { type: String, required: true }, // The uploaded file, or a directory for image sets and Markdown decks
+  captions: [String], // Per-image captions for image sets
+  uploadId: { type: String },
+  contentHash: { type: String },
+  version: { type: Number }, // Set when the job converts a new revision of an existing presentation
+  makeCurrent: { type: Boolean, default: true },
+  renderProfile: renderProfileSchema,
+  metadata: {
+    title: String,
+    summary: String,
+    author: String,
+    authorId: String,
+    topics: [String]
+  },
+  result: { type: mongoose.Schema.Types.Mixed }, // Same body the old synchronous /convert returned
+  error: { type: String },
+  failureReason: { type: String }, // Why LibreOffice failed: timeout, cpu-limit, crashed, exit-code, spawn-error or cancelled
+  createdAt: { type: Date, default: Date.now },
+  startedAt: { type: Date },
+  finishedAt: { type: Date },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const ConversionJob = mongoose.model('ConversionJob', conversionJobSchema);
+
+// Define MongoDB schema for batch imports - one item per file found in the archive
+const importBatchSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  originalName: { type: String, required: true },
+  manifestFile: { type: String },
+  manifestWarnings: [String],
+  items: [{
+    _id: false,
+    fileName: String,
+    status: String, // Job status once queued; 'rejected' or 'skipped' for files that never got a job
+    jobId: String,
+    presentationId: String,
+    title: String,
+    error: String
+  }],
+  createdAt: { type: Date, default: Date.now }
+});
+
+const ImportBatch = mongoose.model('ImportBatch', importBatchSchema);
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -78,15 +230,31 @@ const storage = multer.diskStorage({
   }
 });
 
-// File filter to ensure only PowerPoint files are uploaded
+// Largest accepted upload, for both multipart and resumable uploads
+const MAX_UPLOAD_BYTES = parseInt(process.env.MAX_UPLOAD_BYTES, 10) || 50 * 1024 * 1024;
+
+// Accepted extensions and the kind of file their content must be - slide shows (.pps/.ppsx)
+// and templates (.otp) are packaged like the presentations they derive from
+const UPLOAD_CONTAINER_FORMATS = {
+  '.ppt': 'ppt',
+  '.pps': 'ppt',
+  '.pptx': 'pptx',
+  '.ppsx': 'pptx',
+  '.odp': 'odp',
+  '.otp': 'odp',
+  '.key': 'key',
+  '.pdf': 'pdf'
+};
+const ALLOWED_UPLOAD_EXTENSIONS = Object.keys(UPLOAD_CONTAINER_FORMATS);
+
+// File filter to ensure only presentation files are uploaded
 const fileFilter = (req, file, cb) => {
-  const allowedExtensions = ['.ppt', '.pptx', '.key'];
   const ext = path.extname(file.originalname).toLowerCase();
   
-  if (allowedExtensions.includes(ext)) {
+  if (ALLOWED_UPLOAD_EXTENSIONS.includes(ext)) {
     cb(null, true);
   } else {
-    cb(new Error('Only PowerPoint files (.ppt, .pptx) and Keynote files (.key) are allowed'));
+    cb(uploadRejection(415, `Only presentation files (${ALLOWED_UPLOAD_EXTENSIONS.join(', ')}) are allowed`));
   }
 };
 
@@ -94,9 +262,316 @@ const fileFilter = (req, file, cb) => {
 const upload = multer({
   storage: storage,
   fileFilter: fileFilter,
-  limits: { fileSize: 50 * 1024 * 1024 } // 50MB size limit
+  limits: { fileSize: MAX_UPLOAD_BYTES }
+});
+
+// Largest ZIP accepted by batch import
+const MAX_BATCH_UPLOAD_BYTES = parseInt(process.env.MAX_BATCH_UPLOAD_BYTES, 10) || 500 * 1024 * 1024;
+
+const batchUpload = multer({
+  storage: storage,
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.zip') {
+      cb(null, true);
+    } else {
+      cb(uploadRejection(415, 'Batch imports must be a .zip archive'));
+    }
+  },
+  limits: { fileSize: MAX_BATCH_UPLOAD_BYTES }
+});
+
+// Batch imports by id (also persisted to the database)
+const importBatches = {};
+
+// Presentations built from images: at most this many PNG or JPEG files per upload
+const MAX_IMAGE_SET_FILES = parseInt(process.env.MAX_IMAGE_SET_FILES, 10) || 200;
+const IMAGE_SET_EXTENSIONS = ['.png', '.jpg', '.jpeg'];
+
+// Images come in the 'images' field, or zipped in the 'archive' field
+const imageSetUpload = multer({
+  storage: storage,
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (file.fieldname === 'archive' ? ext === '.zip' : IMAGE_SET_EXTENSIONS.includes(ext)) {
+      cb(null, true);
+    } else if (file.fieldname === 'archive') {
+      cb(uploadRejection(415, 'Image archives must be a .zip archive'));
+    } else {
+      cb(uploadRejection(415, `Only images (${IMAGE_SET_EXTENSIONS.join(', ')}) are allowed`));
+    }
+  },
+  // Per file, so an oversized image (or archive) is cut off while streaming, not after it hit the disk
+  limits: { fileSize: MAX_UPLOAD_BYTES }
+});
+
+// Markdown decks: source size and slide count limits
+const MAX_MARKDOWN_BYTES = parseInt(process.env.MAX_MARKDOWN_BYTES, 10) || 1024 * 1024;
+const MAX_MARKDOWN_SLIDES = parseInt(process.env.MAX_MARKDOWN_SLIDES, 10) || 200;
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown', '.txt'];
+
+// The source comes in the 'markdown' field (file or text), the images it references in 'assets'
+const markdownUpload = multer({
+  storage: storage,
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (file.fieldname === 'markdown' ? MARKDOWN_EXTENSIONS.includes(ext) : IMAGE_SET_EXTENSIONS.includes(ext)) {
+      cb(null, true);
+    } else if (file.fieldname === 'markdown') {
+      cb(uploadRejection(415, `Markdown must be a ${MARKDOWN_EXTENSIONS.join(', ')} file`));
+    } else {
+      cb(uploadRejection(415, `Only images (${IMAGE_SET_EXTENSIONS.join(', ')}) are allowed`));
+    }
+  },
+  // Keep folders in asset file names so img/a/logo.png and img/b/logo.png stay apart
+  preservePath: true,
+  limits: { fileSize: MAX_UPLOAD_BYTES }
 });
 
+// Zip-bomb limits, checked against the archive directory before anything is decompressed
+const MAX_ARCHIVE_ENTRIES = parseInt(process.env.MAX_ARCHIVE_ENTRIES, 10) || 10000;
+const MAX_ARCHIVE_UNCOMPRESSED_BYTES = parseInt(process.env.MAX_ARCHIVE_UNCOMPRESSED_BYTES, 10) || 1024 * 1024 * 1024;
+const MAX_COMPRESSION_RATIO = parseInt(process.env.MAX_COMPRESSION_RATIO, 10) || 100;
+
+const OLE2_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+// Sector numbers above this mark free sectors or the end of a chain in an OLE2 file
+const OLE2_MAX_REGULAR_SECTOR = 0xfffffffa;
+const ZIP_SIGNATURE = Buffer.from('PK\x03\x04', 'latin1');
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const JPEG_SIGNATURE = Buffer.from([0xff, 0xd8, 0xff]);
+
+// Error carrying the HTTP status the error handler should answer with
+function uploadRejection(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Open a ZIP and check entry count, total size and compression ratio; rejects with a 422 rejection
+async function openCheckedArchive(filePath, limits = {}) {
+  const maxEntries = limits.maxEntries || MAX_ARCHIVE_ENTRIES;
+  const maxBytes = limits.maxBytes || MAX_ARCHIVE_UNCOMPRESSED_BYTES;
+  
+  let entries;
+  try {
+    // AdmZip reads a path synchronously; hand it the bytes so the read doesn't block the event loop
+    const zip = new AdmZip(await fs.promises.readFile(filePath));
+    entries = zip.getEntries();
+    
+    if (entries.length > maxEntries) {
+      throw uploadRejection(422, `Archive has ${entries.length} entries (limit ${maxEntries})`);
+    }
+    
+    let totalBytes = 0;
+    entries.forEach(entry => {
+      const { size, compressedSize } = entry.header;
+      totalBytes += size;
+      
+      // Small entries compress well legitimately; only flag large ones
+      if (size > 1024 * 1024 && size > compressedSize * MAX_COMPRESSION_RATIO) {
+        throw uploadRejection(422, `Archive entry ${entry.entryName} expands more than ${MAX_COMPRESSION_RATIO}:1`);
+      }
+    });
+    if (totalBytes > maxBytes) {
+      throw uploadRejection(422, `Archive expands to ${totalBytes} bytes (limit ${maxBytes})`);
+    }
+    
+    return zip;
+  } catch (error) {
+    throw error.status ? error : uploadRejection(422, `Archive is corrupt: ${error.message}`);
+  }
+}
+
+// Whether an OLE2 compound file's directory lists a stream with this name. Reads only the header,
+// the FAT sectors it needs and the directory chain, never the stream data
+function ole2HasStream(filePath, streamName) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const header = Buffer.alloc(512);
+    if (fs.readSync(fd, header, 0, header.length, 0) < header.length) {
+      return false;
+    }
+    const sectorSize = 1 << header.readUInt16LE(0x1e);
+    if (sectorSize !== 512 && sectorSize !== 4096) {
+      return false;
+    }
+    // Bounds every chain walk, so a looping chain can't hang the upload
+    const maxSectors = Math.ceil(fs.fstatSync(fd).size / sectorSize);
+    const readSector = (sector) => {
+      const buffer = Buffer.alloc(sectorSize);
+      return fs.readSync(fd, buffer, 0, sectorSize, (sector + 1) * sectorSize) === sectorSize ? buffer : null;
+    };
+    
+    // FAT sector numbers: the first 109 are in the header, the rest in the DIFAT chain
+    const fatSectors = [];
+    for (let i = 0; i < 109; i++) {
+      fatSectors.push(header.readUInt32LE(0x4c + i * 4));
+    }
+    const difatEntries = sectorSize / 4 - 1;
+    let difatSector = header.readUInt32LE(0x44);
+    for (let hops = 0; difatSector <= OLE2_MAX_REGULAR_SECTOR && hops < maxSectors; hops++) {
+      const difat = readSector(difatSector);
+      if (!difat) {
+        break;
+      }
+      for (let i = 0; i < difatEntries; i++) {
+        fatSectors.push(difat.readUInt32LE(i * 4));
+      }
+      difatSector = difat.readUInt32LE(difatEntries * 4);
+    }
+    
+    const fatCache = {};
+    const nextSector = (sector) => {
+      const fatIndex = Math.floor(sector / (sectorSize / 4));
+      if (!(fatSectors[fatIndex] <= OLE2_MAX_REGULAR_SECTOR)) {
+        return null;
+      }
+      if (!(fatIndex in fatCache)) {
+        fatCache[fatIndex] = readSector(fatSectors[fatIndex]);
+      }
+      return fatCache[fatIndex] ? fatCache[fatIndex].readUInt32LE((sector % (sectorSize / 4)) * 4) : null;
+    };
+    
+    // Directory entries are 128 bytes: a UTF-16LE name, its byte length (with the NUL) and a type (2 = stream)
+    const wanted = Buffer.from(streamName, 'utf16le');
+    let sector = header.readUInt32LE(0x30);
+    for (let hops = 0; sector !== null && sector <= OLE2_MAX_REGULAR_SECTOR && hops < maxSectors; hops++) {
+      const directory = readSector(sector);
+      if (!directory) {
+        break;
+      }
+      for (let offset = 0; offset < sectorSize; offset += 128) {
+        if (directory[offset + 0x42] === 2 &&
+          directory.readUInt16LE(offset + 0x40) === wanted.length + 2 &&
+          directory.subarray(offset, offset + wanted.length).equals(wanted)) {
+          return true;
+        }
+      }
+      sector = nextSector(sector);
+    }
+    return false;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Check that an upload's content matches its extension (see UPLOAD_CONTAINER_FORMATS): OLE2 for
+// .ppt/.pps, OOXML for .pptx/.ppsx, an OpenDocument package for .odp/.otp, a Keynote package for
+// .key and a PDF for .pdf. Resolves the input format (the extension without its dot) or rejects
+// with status 415 (not a presentation) or 422 (damaged or unsafe)
+async function validatePresentationFile(filePath, originalName) {
+  const ext = path.extname(originalName).toLowerCase();
+  const expectedFormat = UPLOAD_CONTAINER_FORMATS[ext];
+  const header = Buffer.alloc(8);
+  const handle = await fs.promises.open(filePath, 'r');
+  let headerLength;
+  try {
+    ({ bytesRead: headerLength } = await handle.read(header, 0, header.length, 0));
+  } finally {
+    await handle.close();
+  }
+  
+  if (headerLength >= 8 && header.subarray(0, 8).equals(OLE2_SIGNATURE)) {
+    if (expectedFormat !== 'ppt') {
+      throw uploadRejection(415, `File content is a legacy Office (OLE2) file, not ${ext}`);
+    }
+    // Word and Excel files share the container; PowerPoint ones have this stream
+    if (!ole2HasStream(filePath, 'PowerPoint Document')) {
+      throw uploadRejection(422, 'OLE2 file has no "PowerPoint Document" stream - it is not a PowerPoint presentation');
+    }
+    return ext.slice(1);
+  }
+  
+  if (headerLength >= 4 && header.subarray(0, 4).equals(ZIP_SIGNATURE)) {
+    const zip = await openCheckedArchive(filePath);
+    const names = new Set(zip.getEntries().map(entry => entry.entryName));
+    const mimetype = names.has('mimetype') ? zip.readAsText('mimetype').trim() : '';
+    
+    let format = null;
+    if (names.has('[Content_Types].xml') && names.has('ppt/presentation.xml')) {
+      format = 'pptx';
+    } else if (mimetype.startsWith('application/vnd.oasis.opendocument.presentation')) {
+      format = 'odp';
+    } else if (names.has('Index.zip') || names.has('index.apxl') || names.has('index.apxl.gz') ||
+      [...names].some(name => /^Index\/.*\.iwa$/.test(name))) {
+      format = 'key';
+    }
+    
+    if (!format) {
+      throw uploadRejection(415, `ZIP file is not a PowerPoint, OpenDocument or Keynote presentation (extension ${ext})`);
+    }
+    if (format !== expectedFormat) {
+      throw uploadRejection(415, `File content is a .${format} presentation, not ${ext}`);
+    }
+    return ext.slice(1);
+  }
+  
+  // Container signatures are checked first so bytes that merely contain %PDF- can't pass as a PDF;
+  // a PDF must start with its header line (ISO 32000-1, 7.5.2)
+  if (headerLength >= 5 && header.subarray(0, 5).toString('latin1') === '%PDF-') {
+    if (expectedFormat !== 'pdf') {
+      throw uploadRejection(415, `File content is a PDF document, not ${ext}`);
+    }
+    return 'pdf';
+  }
+  
+  throw uploadRejection(415, `File content is not a PowerPoint, OpenDocument, Keynote or PDF presentation (extension ${ext})`);
+}
+
+// 'png' or 'jpg' from an image's leading bytes, or null for anything else
+function detectImageFormat(data) {
+  if (data.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+    return 'png';
+  }
+  if (data.subarray(0, JPEG_SIGNATURE.length).equals(JPEG_SIGNATURE)) {
+    return 'jpg';
+  }
+  return null;
+}
+
+// macOS metadata and hidden files that archives pick up along the way
+function isHiddenArchiveEntry(entryName) {
+  return entryName.split('/').some(part => part.startsWith('.') || part === '__MACOSX');
+}
+
+// Captions for an image set, in order (JSON array or repeated fields) or by file name (JSON object).
+// Anything not starting with [ or { is one plain-text caption; throws on malformed JSON or non-string captions
+function parseImageCaptions(value) {
+  if (value === undefined || value === '') {
+    return { byIndex: [], byName: {} };
+  }
+  if (Array.isArray(value)) {
+    return { byIndex: value, byName: {} };
+  }
+  if (!/^\s*[[{]/.test(value)) {
+    return { byIndex: [value], byName: {} };
+  }
+  
+  const parsed = JSON.parse(value);
+  const checkCaption = (caption, label) => {
+    if (caption !== null && typeof caption !== 'string') {
+      throw new Error(`caption ${label} must be a string`);
+    }
+    return caption === null ? undefined : caption;
+  };
+  if (Array.isArray(parsed)) {
+    return { byIndex: parsed.map((caption, index) => checkCaption(caption, index + 1)), byName: {} };
+  }
+  const byName = {};
+  Object.entries(parsed).forEach(([name, caption]) => {
+    byName[name.toLowerCase()] = checkCaption(caption, `for ${name}`);
+  });
+  return { byIndex: [], byName: byName };
+}
+
+// Resumable uploads: <id>.part holds the bytes received so far, <id>.json the upload's details
+const resumableUploadDir = path.join(__dirname, 'uploads', 'resumable');
+
+// Unfinished resumable uploads are deleted after this long without a new chunk
+const RESUMABLE_UPLOAD_TTL_MS = parseInt(process.env.RESUMABLE_UPLOAD_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+
+// Resumable uploads with a PATCH in flight, so two chunks can't interleave
+const resumableUploadsBusy = new Set();
+
 // In-memory storage for presentations (cache)
 const presentations = {};
 
@@ -106,6 +581,86 @@ const presentationsByTopic = {};
 // Track which users have seen which presentations
 const userPresentationHistory = {};
 
+// On-the-fly resized slide images, kept on disk up to SLIDE_CACHE_MAX_BYTES
+const slideCacheDir = path.join(__dirname, 'cache', 'slides');
+const SLIDE_CACHE_MAX_BYTES = parseInt(process.env.SLIDE_CACHE_MAX_BYTES, 10) || 512 * 1024 * 1024;
+
+// Cached files in least-recently-used order (Map keeps insertion order) -> size in bytes
+const slideCacheEntries = new Map();
+let slideCacheBytes = 0;
+
+// Renders in progress, so concurrent requests for the same variant share one
+const slideCacheRenders = {};
+
+// SHA-256 of served slide files keyed by path, reused until the file's mtime or size changes
+const slideFileHashes = {};
+
+// Perceptual hashes of slide images for version diffs, keyed the same way
+const slidePerceptualHashes = {};
+
+// Maximum number of conversions that run at the same time
+const MAX_CONCURRENT_CONVERSIONS = parseInt(process.env.MAX_CONCURRENT_CONVERSIONS, 10) || 2;
+
+// Legacy documents converted per bulkWrite by the slideItems migration
+const SLIDE_ITEMS_MIGRATION_BATCH_SIZE = 50;
+
+// In-memory conversion job state (cache) - the database copy survives restarts
+const conversionJobs = {};
+const conversionJobTimers = {};
+
+// Revision versions handed out to uploads that are not registered as jobs yet, keyed by presentation id
+const reservedRevisionVersions = {};
+
+// How long finished jobs stay in memory before they are only read from the database
+const CONVERSION_JOB_TTL_MS = 10 * 60 * 1000;
+
+// Job ids waiting for a free worker
+const jobQueue = [];
+let activeJobCount = 0;
+
+// Abort controllers of running jobs, so a cancel request can stop their LibreOffice process
+const jobAbortControllers = {};
+
+// Long-lived unoserver instances that conversions are dispatched to; 0 disables the pool.
+// Instance i listens on LIBREOFFICE_POOL_BASE_PORT + 2i (its UNO socket on the port after)
+const LIBREOFFICE_POOL_SIZE = process.env.LIBREOFFICE_POOL_SIZE !== undefined
+  ? parseInt(process.env.LIBREOFFICE_POOL_SIZE, 10) || 0
+  : MAX_CONCURRENT_CONVERSIONS;
+const LIBREOFFICE_POOL_BASE_PORT = parseInt(process.env.LIBREOFFICE_POOL_BASE_PORT, 10) || 2003;
+const OFFICE_POOL_HEALTH_INTERVAL_MS = 30 * 1000;
+const OFFICE_POOL_START_TIMEOUT_MS = 60 * 1000;
+
+// { index, port, unoPort, process, state: starting | ready | dead, busy, restarts, ... }
+const officePool = [];
+let officePoolStopping = false;
+
+// Defaults for runTool: wall-clock limit and how much of stdout/stderr each call keeps
+const TOOL_TIMEOUT_MS = parseInt(process.env.TOOL_TIMEOUT_MS, 10) || 60 * 1000;
+const TOOL_MAX_OUTPUT_BYTES = parseInt(process.env.TOOL_MAX_OUTPUT_BYTES, 10) || 1024 * 1024;
+
+// Process group ids of tools runTool has started and not yet reaped, killed on shutdown
+const runningToolGroups = new Set();
+
+// LibreOffice sandbox: wall-clock timeout per run, plus address-space and CPU-time limits (0 disables a limit)
+const LIBREOFFICE_TIMEOUT_MS = parseInt(process.env.LIBREOFFICE_TIMEOUT_MS, 10) || 120 * 1000;
+const LIBREOFFICE_MAX_MEMORY_MB = process.env.LIBREOFFICE_MAX_MEMORY_MB !== undefined
+  ? parseInt(process.env.LIBREOFFICE_MAX_MEMORY_MB, 10) || 0
+  : 3072;
+const LIBREOFFICE_MAX_CPU_SECONDS = process.env.LIBREOFFICE_MAX_CPU_SECONDS !== undefined
+  ? parseInt(process.env.LIBREOFFICE_MAX_CPU_SECONDS, 10) || 0
+  : 300;
+
+// Emits `job:<id>` with a job snapshot and `upload:<id>` with upload progress on every change
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+// Upload and conversion progress keyed by upload id (cache)
+const uploadProgress = {};
+const uploadProgressTimers = {};
+
+// How long finished or abandoned upload progress entries are kept
+const UPLOAD_PROGRESS_TTL_MS = 10 * 60 * 1000;
+
 // CRITICAL FIX: Function to ensure database write succeeds before responding
 async function saveToDatabase(presentationData) {
   console.log(`🔄 ATTEMPTING DATABASE SAVE for presentation: ${presentationData.id}`);
@@ -124,6 +679,11 @@ async function saveToDatabase(presentationData) {
     topics: presentationData.topics
   }, null, 2));
 
+  // Build slide items from the legacy arrays unless the caller already has them
+  const slideItems = presentationData.slideItems && presentationData.slideItems.length > 0
+    ? presentationData.slideItems
+    : await buildSlideItems(presentationData);
+
   // CRITICAL: Ensure arrays are not undefined
   const dataToSave = {
     id: presentationData.id,
@@ -134,8 +694,19 @@ async function saveToDatabase(presentationData) {
     authorId: presentationData.authorId,
     topics: presentationData.topics || [],
     slideCount: presentationData.slideCount || 0,
+    renderProfile: presentationData.renderProfile,
+    slideItems: slideItems,
     slides: presentationData.slides || [],  // ENSURE ARRAY
     slideTexts: presentationData.slideTexts || [],  // ENSURE ARRAY
+    slideNotes: presentationData.slideNotes || [],
+    slideStructure: presentationData.slideStructure || [],
+    sourceSlideCount: presentationData.sourceSlideCount,
+    hiddenSlides: presentationData.hiddenSlides || [],
+    placeholderSlides: presentationData.placeholderSlides || [],
+    slideCountMismatch: presentationData.slideCountMismatch || false,
+    inputFormat: presentationData.inputFormat,
+    contentHash: presentationData.contentHash,
+    assetsFrom: presentationData.assetsFrom,
     converted: presentationData.converted || new Date(),
     isPlaceholder: presentationData.isPlaceholder || false,
     viewCount: presentationData.viewCount || 0,
@@ -143,6 +714,7 @@ async function saveToDatabase(presentationData) {
   };
 
   // Debug log the actual data
+  console.log(`📊 CRITICAL: About to save slideItems array with ${dataToSave.slideItems.length} items`);
   console.log(`📊 CRITICAL: About to save slides array with ${dataToSave.slides.length} items`);
   console.log(`📊 CRITICAL: About to save slideTexts array with ${dataToSave.slideTexts.length} items`);
   
@@ -201,6 +773,132 @@ async function saveToDatabase(presentationData) {
     throw error; // Re-throw to handle in calling function
   }
 }
+// Map a /slides/... URL to the file on disk, refusing anything outside public/slides
+function slideUrlToPath(slideUrl) {
+  const slidesRoot = path.join(__dirname, 'public', 'slides');
+  const filePath = path.join(__dirname, 'public', decodeURIComponent(slideUrl || '').split('?')[0]);
+  return filePath.startsWith(slidesRoot + path.sep) ? filePath : null;
+}
+
+// Dimensions and checksum of a slide image, or nulls if the file can't be read
+async function describeSlideImage(slideUrl) {
+  try {
+    const filePath = slideUrlToPath(slideUrl);
+    const stats = await fs.promises.stat(filePath);
+    const [metadata, checksum] = await Promise.all([
+      sharp(filePath).metadata(),
+      hashSlideFile(filePath, stats)
+    ]);
+    return {
+      width: metadata.width || null,
+      height: metadata.height || null,
+      checksum: checksum
+    };
+  } catch (error) {
+    return { width: null, height: null, checksum: null };
+  }
+}
+
+// Smallest rendition, preferring the profile's first format on ties
+function pickThumbnailUrl(variants, profile) {
+  const formats = (profile && profile.formats) || [];
+  const sorted = [...(variants || [])].sort((a, b) =>
+    (a.width || Infinity) - (b.width || Infinity) ||
+    (formats.indexOf(a.format) + 1 || Infinity) - (formats.indexOf(b.format) + 1 || Infinity));
+  return sorted.length > 0 ? sorted[0].url : null;
+}
+
+// Build slideItems subdocuments from the legacy parallel arrays
+async function buildSlideItems(presentationData) {
+  const slideVariants = presentationData.slideVariants || [];
+  const slideTexts = presentationData.slideTexts || [];
+  const slideNotes = presentationData.slideNotes || [];
+  const slideStructure = presentationData.slideStructure || [];
+  const placeholderSlides = presentationData.placeholderSlides || [];
+  const slideSteps = presentationData.slideSteps || [];
+  const slideMedia = presentationData.slideMedia || [];
+  
+  const slideItems = [];
+  for (const [index, imageUrl] of (presentationData.slides || []).entries()) {
+    const imageInfo = await describeSlideImage(imageUrl);
+    const variants = slideVariants[index] || [];
+    const steps = [];
+    for (const step of slideSteps[index] || []) {
+      const stepInfo = await describeSlideImage(step.imageUrl);
+      steps.push({ step: step.step, imageUrl: step.imageUrl, width: stepInfo.width, height: stepInfo.height });
+    }
+    slideItems.push({
+      index: index,
+      imageUrl: imageUrl,
+      thumbnailUrl: pickThumbnailUrl(variants, presentationData.renderProfile) || imageUrl,
+      width: imageInfo.width,
+      height: imageInfo.height,
+      text: slideTexts[index] || '',
+      notes: slideNotes[index] || '',
+      structure: slideStructure[index] || null,
+      isPlaceholder: placeholderSlides.includes(index + 1) || !!presentationData.isPlaceholder,
+      checksum: imageInfo.checksum,
+      variants: variants,
+      steps: steps,
+      media: slideMedia[index] || []
+    });
+  }
+  return slideItems;
+}
+
+// Convert documents saved before slideItems existed - safe to run repeatedly.
+// Streams legacy documents through a cursor and writes them SLIDE_ITEMS_MIGRATION_BATCH_SIZE at a time
+async function migratePresentationSlideItems() {
+  let migratedCount = 0;
+  try {
+    const cursor = Presentation.find({
+      'slides.0': { $exists: true },
+      $or: [{ slideItems: { $exists: false } }, { slideItems: { $size: 0 } }]
+    }).lean().cursor();
+    
+    let batch = [];
+    const flush = async () => {
+      if (batch.length === 0) {
+        return;
+      }
+      const operations = [];
+      for (const doc of batch) {
+        operations.push({
+          updateOne: {
+            filter: { id: doc.id },
+            update: { $set: { slideItems: await buildSlideItems(doc) } }
+          }
+        });
+      }
+      await Presentation.bulkWrite(operations);
+      
+      // Drop stale cache entries so they get reloaded with slideItems
+      batch.forEach(doc => delete presentations[doc.id]);
+      migratedCount += batch.length;
+      console.log(`🔄 Migrated ${migratedCount} presentations to slideItems so far...`);
+      batch = [];
+    };
+    
+    for await (const doc of cursor) {
+      batch.push(doc);
+      if (batch.length >= SLIDE_ITEMS_MIGRATION_BATCH_SIZE) {
+        await flush();
+      }
+    }
+    await flush();
+    
+    if (migratedCount === 0) {
+      console.log('✅ All presentations already have slideItems');
+    } else {
+      console.log(`✅ Migrated ${migratedCount} presentations to slideItems`);
+    }
+    return migratedCount;
+  } catch (err) {
+    console.error(`❌ Error migrating presentations to slideItems: ${err}`);
+    return migratedCount;
+  }
+}
+
 // CRITICAL FIX: Function to verify database save succeeded
 async function verifyDatabaseSave(presentationId) {
   try {
@@ -248,852 +946,4845 @@ async function loadPresentationsFromDatabase() {
   }
 }
 
-// Function to check if LibreOffice is installed
-function checkLibreOfficeInstallation() {
-  try {
-    console.log('🔍 Checking LibreOffice installation...');
-    const result = execSync('which libreoffice || echo "not found"').toString().trim();
-    if (result === "not found") {
-      console.error('❌ LibreOffice is not installed or not in PATH');
-      return false;
-    }
-    console.log(`✅ LibreOffice found at: ${result}`);
-    return true;
-  } catch (error) {
-    console.error('❌ Error checking for LibreOffice:', error.message);
-    return false;
+// Parse the attributes of a single XML start tag into an object
+function parseXmlAttributes(tag) {
+  const attributes = {};
+  const attributePattern = /([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = attributePattern.exec(tag)) !== null) {
+    attributes[match[1]] = match[3] !== undefined ? match[3] : match[4];
   }
+  return attributes;
 }
 
-// Function to create a placeholder image for when LibreOffice isn't available
-function createPlaceholderImage(outputPath, slideNumber, title) {
+// Read the real slide list from a .pptx/.ppsx or .odp/.otp package
+// Returns { format, slideCount, hiddenSlides, slides: [{ number, path, hidden }] } or null
+function readSourceSlideList(filePath) {
+  let zip;
   try {
-    const placeholderText = `Placeholder for slide ${slideNumber}\nTitle: ${title}\n\nLibreOffice is not installed on the server,\nso actual slide conversion is not available.`;
-    fs.writeFileSync(outputPath, placeholderText);
-    console.log(`📝 Created placeholder at ${outputPath}`);
-    return true;
+    zip = new AdmZip(filePath);
   } catch (error) {
-    console.error(`❌ Error creating placeholder: ${error.message}`);
-    return false;
+    // Not a zip package (.ppt, older .key) - nothing to read
+    console.log(`ℹ️  ${path.basename(filePath)} is not a zip package, slide count unknown`);
+    return null;
   }
-}
-
-// Create a visually distinct placeholder for testing
-function createDistinctPlaceholder(outputPath, slideNumber, title) {
+  
   try {
-    let placeholderText;
-    
-    if (slideNumber % 2 === 0) {
-      placeholderText = `SLIDE ${slideNumber} - EVEN NUMBER\n\nThis is an even-numbered slide placeholder.\nTitle: ${title}\n\nSlide content would appear here.`;
-    } else {
-      placeholderText = `SLIDE ${slideNumber} - ODD NUMBER\n\nThis is an odd-numbered slide placeholder.\nTitle: ${title}\n\nDifferent slide content would appear here.`;
+    if (zip.getEntry('ppt/presentation.xml')) {
+      return readOoxmlSlideList(zip);
     }
-    
-    fs.writeFileSync(outputPath, placeholderText);
-    console.log(`📝 Created distinct placeholder for slide ${slideNumber}`);
-    return true;
+    if (zip.getEntry('content.xml')) {
+      return readOdpSlideList(zip);
+    }
+    console.log(`ℹ️  ${path.basename(filePath)} has no presentation part, slide count unknown`);
   } catch (error) {
-    console.error(`❌ Error creating distinct placeholder: ${error.message}`);
-    return false;
+    console.error(`❌ Error reading slide list from ${filePath}: ${error.message}`);
   }
+  return null;
 }
 
-// FIXED: Static file serving with debug logging
-app.use('/slides', (req, res, next) => {
-  console.log(`📸 Slide request: ${req.originalUrl}`);
-  console.log(`📂 Looking for file: ${path.join(__dirname, 'public', 'slides', req.path)}`);
+function readOoxmlSlideList(zip) {
+  const presentationXml = zip.readAsText('ppt/presentation.xml');
+  const relsXml = zip.readAsText('ppt/_rels/presentation.xml.rels');
   
-  // Check if file exists
-  const filePath = path.join(__dirname, 'public', 'slides', req.path);
-  if (fs.existsSync(filePath)) {
-    console.log(`✅ File exists: ${filePath}`);
-  } else {
-    console.log(`❌ File NOT found: ${filePath}`);
-    
-    // List what files ARE in the directory
-    const dirPath = path.dirname(filePath);
-    if (fs.existsSync(dirPath)) {
-      try {
-        const filesInDir = fs.readdirSync(dirPath);
-        console.log(`📁 Files in ${dirPath}:`, filesInDir);
-      } catch (err) {
-        console.log(`❌ Could not read directory ${dirPath}:`, err.message);
-      }
-    } else {
-      console.log(`❌ Directory does not exist: ${dirPath}`);
+  // Map relationship ids to slide part paths
+  const targets = {};
+  (relsXml.match(/<Relationship\b[^>]*>/g) || []).forEach(tag => {
+    const rel = parseXmlAttributes(tag);
+    targets[rel.Id] = path.posix.normalize(path.posix.join('ppt', rel.Target.replace(/^\//, '../')));
+  });
+  
+  // Slide order comes from sldIdLst, not from part names
+  const slideIdList = presentationXml.match(/<p:sldIdLst>([\s\S]*?)<\/p:sldIdLst>/);
+  const slideIdTags = slideIdList ? (slideIdList[1].match(/<p:sldId\b[^>]*>/g) || []) : [];
+  
+  const slides = slideIdTags.map((tag, index) => {
+    const slidePath = targets[parseXmlAttributes(tag)['r:id']];
+    const slideEntry = slidePath ? zip.getEntry(slidePath) : null;
+    const slideRoot = slideEntry ? (slideEntry.getData().toString('utf8').match(/<p:sld\b[^>]*>/) || [''])[0] : '';
+    return {
+      number: index + 1,
+      path: slidePath || null,
+      hidden: parseXmlAttributes(slideRoot).show === '0'
+    };
+  });
+  
+  return {
+    format: 'pptx',
+    slideCount: slides.length,
+    hiddenSlides: slides.filter(slide => slide.hidden).map(slide => slide.number),
+    slides: slides
+  };
+}
+
+function readOdpSlideList(zip) {
+  const contentXml = zip.readAsText('content.xml');
+  
+  // Drawing page styles that hide a slide
+  const hiddenStyles = [];
+  (contentXml.match(/<style:style\b[^>]*>[\s\S]*?<\/style:style>/g) || []).forEach(styleXml => {
+    if (/presentation:visibility="hidden"/.test(styleXml)) {
+      hiddenStyles.push(parseXmlAttributes(styleXml.match(/<style:style\b[^>]*>/)[0])['style:name']);
     }
-  }
+  });
   
-  next();
-});
+  const slides = (contentXml.match(/<draw:page\b[^>]*>/g) || []).map((tag, index) => {
+    const page = parseXmlAttributes(tag);
+    return {
+      number: index + 1,
+      path: 'content.xml',
+      name: page['draw:name'] || null,
+      hidden: hiddenStyles.includes(page['draw:style-name'])
+    };
+  });
+  
+  return {
+    format: 'odp',
+    slideCount: slides.length,
+    hiddenSlides: slides.filter(slide => slide.hidden).map(slide => slide.number),
+    slides: slides
+  };
+}
 
-// Serve static files from the public directory
-app.use('/slides', express.static(path.join(__dirname, 'public', 'slides')));
-app.use(express.static(path.join(__dirname, 'public')));
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&#x([0-9a-fA-F]+);/g, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
 
-// Debug endpoints
-app.get('/debug/slides/:presentationId', (req, res) => {
-  const presentationId = req.params.presentationId;
-  const slidesDir = path.join(__dirname, 'public', 'slides', presentationId);
+// Plain text of DrawingML paragraphs (<a:p>), one line per paragraph
+function extractDrawingMLText(xml) {
+  const paragraphs = xml.match(/<a:p(?:\s[^>]*)?>[\s\S]*?<\/a:p>/g) || [];
+  return paragraphs
+    .map(paragraph => paragraph
+      .replace(/<a:br\b[^>]*\/>/g, '<a:t>\n</a:t>')
+      .match(/<a:t(?:\s[^>]*)?>[\s\S]*?<\/a:t>/g) || [])
+    .map(runs => runs.map(run => decodeXmlEntities(run.replace(/<\/?a:t(?:\s[^>]*)?>/g, ''))).join(''))
+    .join('\n')
+    .trim();
+}
+
+// Plain text of ODF paragraphs and headings (<text:p>, <text:h>), one line per paragraph
+function extractOdfText(xml) {
+  return (xml.match(/<text:(p|h)\b[^>]*>[\s\S]*?<\/text:\1>/g) || [])
+    .map(paragraph => decodeXmlEntities(paragraph
+      .replace(/<text:line-break\s*\/>/g, '\n')
+      .replace(/<text:tab\s*\/>/g, '\t')
+      .replace(/<[^>]+>/g, '')))
+    .join('\n')
+    .trim();
+}
+
+// Resolve a slide part's relationships to absolute part paths, keyed by relationship id
+function readPartRelationships(zip, partPath) {
+  const relsPath = path.posix.join(path.posix.dirname(partPath), '_rels', `${path.posix.basename(partPath)}.rels`);
+  const relsEntry = zip.getEntry(relsPath);
+  const relationships = {};
+  if (!relsEntry) {
+    return relationships;
+  }
   
-  console.log(`🔍 Debug request for presentation: ${presentationId}`);
-  console.log(`🔍 Looking in directory: ${slidesDir}`);
+  (relsEntry.getData().toString('utf8').match(/<Relationship\b[^>]*>/g) || []).forEach(tag => {
+    const rel = parseXmlAttributes(tag);
+    relationships[rel.Id] = {
+      type: (rel.Type || '').split('/').pop(),
+      external: rel.TargetMode === 'External',
+      target: rel.TargetMode === 'External'
+        ? rel.Target
+        : path.posix.normalize(path.posix.join(path.posix.dirname(partPath), rel.Target.replace(/^\//, '../'.repeat(partPath.split('/').length - 1))))
+    };
+  });
+  return relationships;
+}
+
+// Speaker notes for every source slide, in source order (empty string when a slide has none)
+function readSourceNotes(filePath, sourceSlides) {
+  if (!sourceSlides) {
+    return [];
+  }
   
-  if (fs.existsSync(slidesDir)) {
-    try {
-      const files = fs.readdirSync(slidesDir);
-      console.log(`✅ Found ${files.length} files in slides directory`);
-      
-      res.json({
-        success: true,
-        presentationId: presentationId,
-        slidesDirectory: slidesDir,
-        filesFound: files.length,
-        files: files,
-        sampleUrls: files.slice(0, 5).map(file => `/slides/${presentationId}/${file}`),
-        firstFileFullPath: files.length > 0 ? path.join(slidesDir, files[0]) : null
-      });
-    } catch (err) {
-      console.error(`❌ Error reading slides directory: ${err}`);
-      res.status(500).json({
-        error: 'Could not read slides directory',
-        presentationId: presentationId,
-        directory: slidesDir,
-        errorMessage: err.message
-      });
-    }
-  } else {
-    console.log(`❌ Slides directory not found: ${slidesDir}`);
+  try {
+    const zip = new AdmZip(filePath);
     
-    // Check if parent directory exists
-    const parentDir = path.join(__dirname, 'public', 'slides');
-    if (fs.existsSync(parentDir)) {
-      const allPresentations = fs.readdirSync(parentDir);
-      res.status(404).json({
-        error: 'Slides directory not found for this presentation',
-        presentationId: presentationId,
-        expectedPath: slidesDir,
-        availablePresentations: allPresentations
-      });
-    } else {
-      res.status(404).json({
-        error: 'Slides parent directory not found',
-        presentationId: presentationId,
-        expectedPath: slidesDir,
-        parentDirectory: parentDir,
-        parentExists: false
+    if (sourceSlides.format === 'odp') {
+      const contentXml = zip.readAsText('content.xml');
+      return (contentXml.match(/<draw:page\b[\s\S]*?<\/draw:page>/g) || []).map(pageXml => {
+        const notes = pageXml.match(/<presentation:notes\b[\s\S]*?<\/presentation:notes>/);
+        return notes ? extractOdfText(notes[0]) : '';
       });
     }
+    
+    return sourceSlides.slides.map(slide => {
+      if (!slide.path) {
+        return '';
+      }
+      const notesRel = Object.values(readPartRelationships(zip, slide.path)).find(rel => rel.type === 'notesSlide');
+      const notesEntry = notesRel ? zip.getEntry(notesRel.target) : null;
+      if (!notesEntry) {
+        return '';
+      }
+      
+      // The notes live in the body placeholder; the others hold the slide image and number
+      const shapes = notesEntry.getData().toString('utf8').match(/<p:sp>[\s\S]*?<\/p:sp>/g) || [];
+      return shapes
+        .filter(shape => /<p:ph\b[^>]*type="body"/.test(shape))
+        .map(shape => extractDrawingMLText(shape))
+        .join('\n')
+        .trim();
+    });
+  } catch (error) {
+    console.error(`❌ Error reading speaker notes from ${filePath}: ${error.message}`);
+    return [];
   }
-});
+}
 
-app.get('/debug/filesystem', (req, res) => {
-  const publicDir = path.join(__dirname, 'public');
-  const slidesDir = path.join(__dirname, 'public', 'slides');
-  
-  const result = {
-    serverDirectory: __dirname,
-    publicDirectory: publicDir,
-    slidesDirectory: slidesDir,
-    publicExists: fs.existsSync(publicDir),
-    slidesExists: fs.existsSync(slidesDir)
-  };
-  
-  if (fs.existsSync(publicDir)) {
-    try {
-      result.publicContents = fs.readdirSync(publicDir);
-    } catch (err) {
-      result.publicError = err.message;
-    }
-  }
+// Turn a flat list of { text, level } paragraphs into a nested bullet tree
+function buildBulletTree(items) {
+  const roots = [];
+  const stack = [];
   
-  if (fs.existsSync(slidesDir)) {
-    try {
-      result.slidesContents = fs.readdirSync(slidesDir);
-    } catch (err) {
-      result.slidesError = err.message;
+  items.forEach(item => {
+    const node = { text: item.text, level: item.level, children: [] };
+    while (stack.length > 0 && stack[stack.length - 1].level >= node.level) {
+      stack.pop();
     }
-  }
+    (stack.length > 0 ? stack[stack.length - 1].children : roots).push(node);
+    stack.push(node);
+  });
   
-  res.json(result);
-});
+  return roots;
+}
 
-// PROGRESS TRACKING MIDDLEWARE
-app.use('/convert', (req, res, next) => {
-  let totalBytes = 0;
-  let uploadedBytes = 0;
+// Placeholder types that carry no slide content
+const IGNORED_PLACEHOLDER_TYPES = ['sldNum', 'dt', 'ftr', 'hdr', 'sldImg'];
 
-  // Track upload progress
-  req.on('data', (chunk) => {
-    uploadedBytes += chunk.length;
-    const progress = totalBytes > 0 ? (uploadedBytes / totalBytes) * 100 : 0;
+// Structured content of one OOXML slide: title, bullet tree, tables and image alt text
+function parseOoxmlSlideStructure(slideXml) {
+  const structure = { title: null, bullets: [], tables: [], images: [] };
+  const bulletItems = [];
+  const titles = [];
+  
+  // Shapes, tables and pictures in document order (group shapes are flattened)
+  const elements = slideXml.match(/<p:sp(?:\s[^>]*)?>[\s\S]*?<\/p:sp>|<p:graphicFrame(?:\s[^>]*)?>[\s\S]*?<\/p:graphicFrame>|<p:pic(?:\s[^>]*)?>[\s\S]*?<\/p:pic>/g) || [];
+  
+  elements.forEach(element => {
+    const shapeProps = parseXmlAttributes((element.match(/<p:cNvPr\b[^>]*>/) || [''])[0]);
+    
+    if (element.startsWith('<p:pic')) {
+      structure.images.push({
+        name: decodeXmlEntities(shapeProps.name || ''),
+        altText: decodeXmlEntities(shapeProps.descr || shapeProps.title || '')
+      });
+      return;
+    }
+    
+    if (element.startsWith('<p:graphicFrame')) {
+      if (!/<a:tbl>/.test(element)) {
+        return;
+      }
+      structure.tables.push({
+        name: decodeXmlEntities(shapeProps.name || ''),
+        rows: (element.match(/<a:tr\b[\s\S]*?<\/a:tr>/g) || []).map(row =>
+          (row.match(/<a:tc\b[\s\S]*?<\/a:tc>/g) || []).map(cell => extractDrawingMLText(cell)))
+      });
+      return;
+    }
     
-    // You could emit progress events here if using WebSockets
-    console.log(`📤 Upload progress: ${progress.toFixed(1)}%`);
+    const placeholder = parseXmlAttributes((element.match(/<p:ph\b[^>]*>/) || [''])[0]);
+    if (IGNORED_PLACEHOLDER_TYPES.includes(placeholder.type)) {
+      return;
+    }
+    
+    const paragraphs = element.match(/<a:p(?:\s[^>]*)?>[\s\S]*?<\/a:p>/g) || [];
+    if (placeholder.type === 'title' || placeholder.type === 'ctrTitle') {
+      titles.push(paragraphs.map(paragraph => extractDrawingMLText(paragraph)).filter(Boolean).join(' '));
+      return;
+    }
+    
+    paragraphs.forEach(paragraph => {
+      const text = extractDrawingMLText(paragraph);
+      if (text) {
+        const paragraphProps = parseXmlAttributes((paragraph.match(/<a:pPr\b[^>]*>/) || [''])[0]);
+        bulletItems.push({ text: text, level: parseInt(paragraphProps.lvl, 10) || 0 });
+      }
+    });
   });
+  
+  structure.title = titles.filter(Boolean).join(' ') || null;
+  structure.bullets = buildBulletTree(bulletItems);
+  return structure;
+}
 
-  req.on('end', () => {
-    console.log('📤 Upload completed');
+// Paragraphs of an ODF text box with their list depth as the bullet level
+function readOdfParagraphLevels(xml) {
+  const items = [];
+  let listDepth = 0;
+  const tokens = xml.match(/<text:list(?:\s[^>]*)?>|<\/text:list>|<text:(p|h)\b[^>]*>[\s\S]*?<\/text:\1>/g) || [];
+  
+  tokens.forEach(token => {
+    if (token === '</text:list>') {
+      listDepth = Math.max(0, listDepth - 1);
+    } else if (token.startsWith('<text:list')) {
+      listDepth++;
+    } else {
+      const text = extractOdfText(token);
+      if (text) {
+        items.push({ text: text, level: Math.max(0, listDepth - 1) });
+      }
+    }
   });
-
-  next();
-});
-
-// Health check endpoint
-app.get('/', (req, res) => {
-  res.send('PowerPoint Conversion Server v1.6 is running');
-});
-
-// FIXED: Upload and convert PowerPoint endpoint with proper database persistence
-app.post('/convert', upload.single('presentation'), async (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({ error: 'No file uploaded' });
-  }
   
-  console.log(`📁 Received file: ${req.file.originalname} (${req.file.size} bytes)`);
+  return items;
+}
+
+// Structured content of one ODP draw:page: title, bullet tree, tables and image alt text
+function parseOdpSlideStructure(pageXml) {
+  const structure = { title: null, bullets: [], tables: [], images: [] };
+  const bulletItems = [];
+  const titles = [];
   
-  const inputFile = req.file.path;
-  const presentationId = uuidv4();
-  const outputDir = path.join(__dirname, 'public', 'slides', presentationId);
+  // Speaker notes are handled separately
+  const slideXml = pageXml.replace(/<presentation:notes\b[\s\S]*?<\/presentation:notes>/g, '');
+  const frames = slideXml.match(/<draw:frame\b[\s\S]*?<\/draw:frame>/g) || [];
   
-  // Get metadata from request body
-  const title = req.body.title || req.file.originalname.replace(/\.[^/.]+$/, "");
-  const summary = req.body.summary || "";
-  const author = req.body.author || "Anonymous";
-  const authorId = req.body.authorId || uuidv4();
-  const topics = req.body.topics ? (Array.isArray(req.body.topics) ? req.body.topics : [req.body.topics]) : [];
+  frames.forEach(frame => {
+    const frameProps = parseXmlAttributes(frame.match(/<draw:frame\b[^>]*>/)[0]);
+    const frameClass = frameProps['presentation:class'];
+    
+    if (/<draw:image\b/.test(frame)) {
+      const altText = frame.match(/<svg:desc>([\s\S]*?)<\/svg:desc>/) || frame.match(/<svg:title>([\s\S]*?)<\/svg:title>/);
+      structure.images.push({
+        name: decodeXmlEntities(frameProps['draw:name'] || ''),
+        altText: altText ? decodeXmlEntities(altText[1]) : ''
+      });
+      return;
+    }
+    
+    if (/<table:table\b/.test(frame)) {
+      structure.tables.push({
+        name: decodeXmlEntities(frameProps['draw:name'] || ''),
+        rows: (frame.match(/<table:table-row\b[\s\S]*?<\/table:table-row>/g) || []).map(row =>
+          (row.match(/<table:table-cell\b[\s\S]*?<\/table:table-cell>|<table:table-cell\b[^>]*\/>/g) || []).map(cell => extractOdfText(cell)))
+      });
+      return;
+    }
+    
+    if (frameClass === 'title') {
+      titles.push(extractOdfText(frame).replace(/\n/g, ' '));
+      return;
+    }
+    if (['page-number', 'date-time', 'footer', 'header'].includes(frameClass)) {
+      return;
+    }
+    
+    bulletItems.push(...readOdfParagraphLevels(frame));
+  });
   
-  console.log(`🎯 Processing presentation: "${title}" by ${author}`);
-  console.log(`🏷️  Topics: [${topics.join(', ')}]`);
+  structure.title = titles.filter(Boolean).join(' ') || null;
+  structure.bullets = buildBulletTree(bulletItems);
+  return structure;
+}
+
+// Structured content for every source slide, in source order
+function readSourceStructure(filePath, sourceSlides) {
+  if (!sourceSlides) {
+    return [];
+  }
   
-  // Initialize presentation data object
-  const presentation = {
-    id: presentationId,
-    originalName: req.file.originalname,
-    title: title,
-    summary: summary,
-    author: author,
-    authorId: authorId,
-    topics: topics,
-    converted: new Date(),
-    viewCount: 0,
-    isDeleted: false
-  };
+  try {
+    const zip = new AdmZip(filePath);
+    
+    if (sourceSlides.format === 'odp') {
+      const contentXml = zip.readAsText('content.xml');
+      return (contentXml.match(/<draw:page\b[\s\S]*?<\/draw:page>/g) || []).map(pageXml => parseOdpSlideStructure(pageXml));
+    }
+    
+    return sourceSlides.slides.map(slide => {
+      const slideEntry = slide.path ? zip.getEntry(slide.path) : null;
+      return slideEntry
+        ? parseOoxmlSlideStructure(slideEntry.getData().toString('utf8'))
+        : { title: null, bullets: [], tables: [], images: [] };
+    });
+  } catch (error) {
+    console.error(`❌ Error reading slide structure from ${filePath}: ${error.message}`);
+    return [];
+  }
+}
+
+// Outermost <tag> elements in xml with their offsets - nested elements of the same name stay inside their parent
+function findXmlElements(xml, tag) {
+  const elements = [];
+  const pattern = new RegExp(`<(/?)${tag}(?=[\\s/>])[^>]*?(/?)>`, 'g');
+  let depth = 0;
+  let start = -1;
+  let match;
   
-  // Create output directory
-  if (!fs.existsSync(outputDir)) {
-    fs.mkdirSync(outputDir, { recursive: true });
+  while ((match = pattern.exec(xml)) !== null) {
+    if (match[1]) {
+      depth--;
+      if (depth === 0) {
+        elements.push({ start: start, end: pattern.lastIndex, xml: xml.slice(start, pattern.lastIndex) });
+      }
+    } else if (match[2]) {
+      if (depth === 0) {
+        elements.push({ start: match.index, end: pattern.lastIndex, xml: match[0] });
+      }
+    } else {
+      if (depth === 0) {
+        start = match.index;
+      }
+      depth++;
+    }
+  }
+  return elements;
+}
+
+// Content between an element's opening and closing tags
+function innerXml(element) {
+  return element.slice(element.indexOf('>') + 1, element.lastIndexOf('</'));
+}
+
+// Click groups of an OOXML slide's main animation sequence. Each entry lists the entrance and exit
+// effects that play on that click; effects that start on their own join the click before them
+function readSlideBuildClicks(slideXml) {
+  const timing = findXmlElements(slideXml, 'p:timing')[0];
+  const mainSeqAt = timing ? timing.xml.search(/<p:cTn\b[^>]*\bnodeType="mainSeq"/) : -1;
+  if (mainSeqAt < 0) {
+    return [];
   }
   
-  // Check if LibreOffice is installed
-  const libreOfficeInstalled = checkLibreOfficeInstallation();
+  const mainSeq = findXmlElements(timing.xml.slice(mainSeqAt), 'p:cTn')[0];
+  const childList = mainSeq && findXmlElements(innerXml(mainSeq.xml), 'p:childTnLst')[0];
+  if (!childList) {
+    return [];
+  }
   
-  if (!libreOfficeInstalled) {
-    console.log('⚠️  LibreOffice not found. Creating placeholder images...');
+  const clicks = [];
+  findXmlElements(innerXml(childList.xml), 'p:par').forEach(group => {
+    const effects = [];
+    let clicked = false;
     
-    // Try to install LibreOffice
-    try {
-      console.log('📦 Attempting to install LibreOffice...');
-      execSync('apt-get update && apt-get install -y libreoffice poppler-utils imagemagick', { stdio: 'inherit' });
-      console.log('✅ LibreOffice installation completed. Retrying conversion...');
+    const effectPattern = /<p:cTn\b[^>]*\bpresetClass="[^"]*"[^>]*>/g;
+    let match;
+    while ((match = effectPattern.exec(group.xml)) !== null) {
+      const effectProps = parseXmlAttributes(match[0]);
+      const effect = findXmlElements(group.xml.slice(match.index), 'p:cTn')[0].xml;
+      clicked = clicked || effectProps.nodeType === 'clickEffect';
       
-      // Check if installation succeeded
-      const installSucceeded = checkLibreOfficeInstallation();
-      if (!installSucceeded) {
-        throw new Error('LibreOffice still not available after installation attempt');
+      // Emphasis and motion paths don't change what is visible
+      if (!['entr', 'exit'].includes(effectProps.presetClass)) {
+        continue;
       }
-    } catch (installError) {
-      console.error('❌ Failed to install LibreOffice:', installError.message);
-      
-      // Create placeholder slides as fallback
-      const placeholderCount = 5;
-      const placeholderUrls = [];
-      const slideTexts = [];
-      
-      for (let i = 0; i < placeholderCount; i++) {
-        const placeholderPath = path.join(outputDir, `slide-${i+1}.jpg`);
-        createPlaceholderImage(placeholderPath, i+1, req.file.originalname);
-        placeholderUrls.push(`/slides/${presentationId}/slide-${i+1}.jpg`);
-        slideTexts.push(`Slide ${i+1} (Placeholder)`);
-      }
-      
-      // Update presentation with placeholder data
-      presentation.slides = placeholderUrls;
-      presentation.slideCount = placeholderCount;
-      presentation.slideTexts = slideTexts;
-      presentation.isPlaceholder = true;
-      
-      // CRITICAL FIX: Save to database and verify before responding
-      try {
-        console.log(`💾 Saving placeholder presentation to database...`);
-        const savedPresentation = await saveToDatabase(presentation);
-        
-        // Verify the save worked
-        const verified = await verifyDatabaseSave(presentationId);
-        if (!verified) {
-          throw new Error('Database verification failed');
-        }
-        
-        // Add to memory cache only after successful database save
-        presentations[presentationId] = savedPresentation;
-        
-        // Add presentation to topic indexes
-        topics.forEach(topic => {
-          topic = topic.toLowerCase();
-          if (!presentationsByTopic[topic]) {
-            presentationsByTopic[topic] = [];
-          }
-          presentationsByTopic[topic].push(presentationId);
-        });
-        
-        console.log(`✅ Successfully saved and verified placeholder presentation ${presentationId}`);
-        
-        // Send success response
-        res.json({
-          id: presentationId,
-          originalName: req.file.originalname,
-          title: title,
-          slideCount: placeholderCount,
-          slides: placeholderUrls,
-          slideTexts: slideTexts,
-          status: "placeholders_created",
-          message: "LibreOffice is not available. Generated placeholder slides instead.",
-          topics: topics
-        });
-        
-      } catch (dbError) {
-        console.error(`❌ CRITICAL: Failed to save placeholder presentation to database: ${dbError}`);
-        res.status(500).json({
-          error: "Failed to save presentation to database",
-          details: dbError.message,
-          id: presentationId,
-          status: "database_error"
-        });
+      const target = parseXmlAttributes((effect.match(/<p:spTgt\b[^>]*>/) || [''])[0]);
+      if (!target.spid) {
+        continue;
       }
-      
-      // Clean up uploaded file
-      fs.unlink(inputFile, (err) => {
-        if (err) console.error(`❌ Error deleting uploaded file: ${err.message}`);
+      const range = parseXmlAttributes((effect.match(/<p:pRg\b[^>]*>/) || [''])[0]);
+      effects.push({
+        presetClass: effectProps.presetClass,
+        shapeId: target.spid,
+        paragraphs: range.st !== undefined ? [parseInt(range.st, 10), parseInt(range.end, 10)] : null
       });
-      
+    }
+    
+    if (clicked || clicks.length === 0) {
+      clicks.push({ clicked: clicked, effects: effects });
+    } else {
+      clicks[clicks.length - 1].effects.push(...effects);
+    }
+  });
+  
+  return clicks;
+}
+
+// What is hidden at each build step of a slide: [{ shapes: [id], paragraphs: { id: [index] } }],
+// starting before the first click. Returns [] when the builds never change what is visible
+function computeSlideBuildSteps(slideXml) {
+  const clicks = readSlideBuildClicks(slideXml);
+  const targetKey = effect => effect.paragraphs ? `${effect.shapeId}:${effect.paragraphs.join('-')}` : effect.shapeId;
+  
+  // Anything whose first effect is an entrance starts out hidden
+  const hidden = new Map();
+  const seen = new Set();
+  clicks.forEach(click => click.effects.forEach(effect => {
+    const key = targetKey(effect);
+    if (!seen.has(key)) {
+      seen.add(key);
+      if (effect.presetClass === 'entr') {
+        hidden.set(key, effect);
+      }
+    }
+  }));
+  
+  const snapshot = () => {
+    const state = { shapes: [], paragraphs: {} };
+    hidden.forEach(effect => {
+      if (!effect.paragraphs) {
+        state.shapes.push(effect.shapeId);
+        return;
+      }
+      const indexes = state.paragraphs[effect.shapeId] || (state.paragraphs[effect.shapeId] = []);
+      for (let index = effect.paragraphs[0]; index <= effect.paragraphs[1]; index++) {
+        indexes.push(index);
+      }
+    });
+    return state;
+  };
+  const apply = click => click.effects.forEach(effect => {
+    if (effect.presetClass === 'entr') {
+      hidden.delete(targetKey(effect));
+    } else {
+      hidden.set(targetKey(effect), effect);
+    }
+  });
+  
+  // Builds that play as the slide opens are part of its first step
+  const steps = [];
+  clicks.forEach((click, index) => {
+    if (index === 0 && !click.clicked) {
+      apply(click);
       return;
     }
-  }
+    if (steps.length === 0) {
+      steps.push(snapshot());
+    }
+    apply(click);
+    steps.push(snapshot());
+  });
   
-  console.log(`🔄 Converting PowerPoint to JPG images in ${outputDir}`);
+  // Clicks that only repeat the previous state (emphasis, or re-showing something visible) add no image
+  const distinct = steps.filter((step, index) => index === 0 || JSON.stringify(step) !== JSON.stringify(steps[index - 1]));
+  return distinct.length > 1 ? distinct : [];
+}
+
+// Copy of an OOXML slide as it looks at one build step: hidden shapes removed, hidden paragraphs
+// emptied (so the rest keep their positions) and the animation timeline dropped
+function applySlideBuildStep(slideXml, step) {
+  let xml = slideXml;
+  
+  const findShape = (shapeId) => {
+    const idAt = xml.search(new RegExp(`<p:cNvPr\\b[^>]*\\bid="${shapeId}"`));
+    if (idAt < 0) {
+      return null;
+    }
+    let opening = null;
+    const openingPattern = /<p:(sp|pic|graphicFrame|grpSp|cxnSp)(?=[\s>])/g;
+    let match;
+    while ((match = openingPattern.exec(xml)) !== null && match.index < idAt) {
+      opening = match;
+    }
+    if (!opening) {
+      return null;
+    }
+    const element = findXmlElements(xml.slice(opening.index), `p:${opening[1]}`)[0];
+    return { start: opening.index, end: opening.index + element.end, xml: element.xml };
+  };
+  
+  Object.keys(step.paragraphs).forEach(shapeId => {
+    const shape = findShape(shapeId);
+    const body = shape && findXmlElements(shape.xml, 'p:txBody')[0];
+    if (!body) {
+      return;
+    }
+    const bodyInner = body.xml.indexOf('>') + 1;
+    const paragraphs = findXmlElements(body.xml.slice(bodyInner), 'a:p');
+    let newBody = body.xml;
+    // Last to first, so earlier offsets stay valid
+    paragraphs.map((paragraph, index) => ({ paragraph, index })).reverse().forEach(({ paragraph, index }) => {
+      if (!step.paragraphs[shapeId].includes(index)) {
+        return;
+      }
+      const kept = (paragraph.xml.match(/<a:pPr\b[^>]*\/>|<a:pPr\b[\s\S]*?<\/a:pPr>|<a:endParaRPr\b[^>]*\/>|<a:endParaRPr\b[\s\S]*?<\/a:endParaRPr>/g) || []).join('');
+      newBody = newBody.slice(0, bodyInner + paragraph.start) + `<a:p>${kept}</a:p>` + newBody.slice(bodyInner + paragraph.end);
+    });
+    const newShape = shape.xml.slice(0, body.start) + newBody + shape.xml.slice(body.end);
+    xml = xml.slice(0, shape.start) + newShape + xml.slice(shape.end);
+  });
+  
+  step.shapes.forEach(shapeId => {
+    const shape = findShape(shapeId);
+    if (shape) {
+      xml = xml.slice(0, shape.start) + xml.slice(shape.end);
+    }
+  });
+  
+  const timing = findXmlElements(xml, 'p:timing')[0];
+  if (timing) {
+    xml = xml.slice(0, timing.start) + xml.slice(timing.end);
+  }
+  return xml;
+}
+
+// Build steps of every source slide, indexed like sourceSlides.slides - hidden slides are never rendered
+function readSourceBuildSteps(filePath, sourceSlides) {
+  if (!sourceSlides || sourceSlides.format !== 'pptx') {
+    return [];
+  }
   
-  // Try to install PDF utilities if not already installed
   try {
-    console.log('📦 Installing PDF utilities...');
-    execSync('apt-get update && apt-get install -y poppler-utils imagemagick', { stdio: 'inherit' });
-    console.log('✅ PDF utilities installation completed.');
+    const zip = new AdmZip(filePath);
+    return sourceSlides.slides.map(slide => {
+      const slideEntry = !slide.hidden && slide.path ? zip.getEntry(slide.path) : null;
+      if (!slideEntry) {
+        return [];
+      }
+      const slideXml = slideEntry.getData().toString('utf8');
+      return computeSlideBuildSteps(slideXml).map(step => ({ path: slide.path, xml: applySlideBuildStep(slideXml, step) }));
+    });
   } catch (error) {
-    console.error('❌ Failed to install PDF utilities:', error.message);
+    console.error(`❌ Error reading animation builds from ${filePath}: ${error.message}`);
+    return [];
   }
+}
+
+// Audio and video shapes of an OOXML slide: [{ type, partPath, position }], positions as fractions of the slide size.
+// Linked files outside the package can't be extracted and are left out
+function readSlideMediaReferences(zip, slidePath, slideSize) {
+  const relationships = readPartRelationships(zip, slidePath);
+  const fraction = (value, total) => value !== undefined ? Math.round(parseInt(value, 10) / total * 10000) / 10000 : null;
+  const references = [];
   
-  // First, convert to PDF which should preserve all slides
-  const pdfCmd = `libreoffice --headless --convert-to pdf --outdir ${outputDir} ${inputFile}`;
-  console.log(`🔄 Executing PDF conversion: ${pdfCmd}`);
-  
-  exec(pdfCmd, async (error, stdout, stderr) => {
-    if (error) {
-      console.error(`❌ PDF conversion error: ${error.message}`);
-      await fallbackToJpgConversion();
+  (zip.readAsText(slidePath).match(/<p:pic(?:\s[^>]*)?>[\s\S]*?<\/p:pic>/g) || []).forEach(pic => {
+    const mediaTag = pic.match(/<a:(videoFile|audioFile)\b[^>]*>/);
+    if (!mediaTag) {
       return;
     }
     
-    console.log(`✅ PDF conversion output: ${stdout}`);
+    // PowerPoint 2010 and later embed the file through p14:media; the older link may point outside the package
+    const embedId = parseXmlAttributes((pic.match(/<p14:media\b[^>]*>/) || [''])[0])['r:embed'];
+    const linkId = parseXmlAttributes(mediaTag[0])['r:link'];
+    const rel = [embedId, linkId]
+      .map(id => id && relationships[id])
+      .find(candidate => candidate && !candidate.external && zip.getEntry(candidate.target));
+    if (!rel) {
+      return;
+    }
     
-    // Check if PDF was created
-    fs.readdir(outputDir, async (err, files) => {
-      if (err) {
-        console.error(`❌ Error reading output directory: ${err.message}`);
-        await fallbackToJpgConversion();
-        return;
-      }
-      
-      // Find PDF files
-      const pdfFiles = files.filter(file => file.endsWith('.pdf'));
-      
-      if (pdfFiles.length === 0) {
-        console.log('⚠️  No PDF files were generated. Falling back to JPG conversion...');
-        await fallbackToJpgConversion();
-        return;
-      }
-      
-      // Process the PDF file to extract slides
-      const pdfPath = path.join(outputDir, pdfFiles[0]);
-      
-      try {
-        // Get PDF info including page count
-        const pdfInfoCmd = `pdfinfo "${pdfPath}" | grep "Pages:" || echo "Pages: 0"`;
-        const pdfInfoOutput = execSync(pdfInfoCmd).toString();
-        const pageCountMatch = pdfInfoOutput.match(/Pages:\s+(\d+)/);
-        const pageCount = pageCountMatch ? parseInt(pageCountMatch[1]) : 0;
-        
-        console.log(`📄 PDF has ${pageCount} pages`);
-        
-        if (pageCount > 0) {
-          // Create directories for temporary files
-          const tempDir = path.join(outputDir, 'temp');
-          if (!fs.existsSync(tempDir)) {
-            fs.mkdirSync(tempDir, { recursive: true });
-          }
-          
-          // CRITICAL FIX: Actually extract images from each PDF page
-          const renamedImageUrls = [];
-          const slideTexts = [];
-          
-          console.log(`🔄 Starting slide extraction for ${pageCount} pages`);
-          
-          // Use pdftoppm to convert PDF pages to images
-          for (let i = 0; i < pageCount; i++) {
-            const pageNum = i + 1;
-            const outputPrefix = path.join(tempDir, `slide-${pageNum}`);
-            
-            // Convert PDF page to JPG
-            const convertCmd = `pdftoppm -jpeg -f ${pageNum} -singlefile "${pdfPath}" "${outputPrefix}"`;
-            
-            console.log(`🖼️  Converting page ${pageNum}: ${convertCmd}`);
-            
-            try {
-              execSync(convertCmd);
-              
-              // Find the generated image
-              const tempFile = `${outputPrefix}.jpg`;
-              const finalFile = path.join(outputDir, `slide-${pageNum}.jpg`);
-              
-              if (fs.existsSync(tempFile)) {
-                // Copy to final location
-                fs.copyFileSync(tempFile, finalFile);
-                renamedImageUrls.push(`/slides/${presentationId}/slide-${pageNum}.jpg`);
-                
-                console.log(`✅ Successfully created slide ${pageNum} image`);
-                
-                // CRITICAL FIX: Extract text from this page
-                try {
-                  const textCmd = `pdftotext -f ${pageNum} -l ${pageNum} "${pdfPath}" -`;
-                  console.log(`📝 Attempting text extraction for page ${pageNum}: ${textCmd}`);
-                  const pageText = execSync(textCmd).toString().trim();
-                  console.log(`✅ Extracted ${pageText.length} characters from page ${pageNum}`);
-                  console.log(`📝 DEBUG: First 100 chars: ${pageText.substring(0, 100)}`);
-                  slideTexts.push(pageText || `Slide ${pageNum}`);
-                } catch (textError) {
-                  console.error(`❌ Text extraction failed for page ${pageNum}: ${textError.message}`);
-                  slideTexts.push(`Slide ${pageNum}`);
-                }
-              } else {
-                console.error(`❌ Failed to create slide ${pageNum} - file not found: ${tempFile}`);
-                // Create a placeholder for this slide
-                createDistinctPlaceholder(finalFile, pageNum, `Page ${pageNum} of ${req.file.originalname}`);
-                renamedImageUrls.push(`/slides/${presentationId}/slide-${pageNum}.jpg`);
-                slideTexts.push(`Slide ${pageNum} (Placeholder)`);
-              }
-            } catch (extractError) {
-              console.error(`❌ Error extracting slide ${pageNum}: ${extractError.message}`);
-              // Create a placeholder for this slide
-              const finalFile = path.join(outputDir, `slide-${pageNum}.jpg`);
-              createDistinctPlaceholder(finalFile, pageNum, `Page ${pageNum} of ${req.file.originalname}`);
-              renamedImageUrls.push(`/slides/${presentationId}/slide-${pageNum}.jpg`);
-              slideTexts.push(`Slide ${pageNum} (Error Placeholder)`);
-            }
-          }
-          
-          console.log(`🎯 Slide extraction complete: ${renamedImageUrls.length} slides created`);
-          console.log(`📝 DEBUG: slideTexts array has ${slideTexts.length} items`);
-          console.log(`📝 DEBUG: First slideText: ${slideTexts[0]}`);
-          
-          // CRITICAL FIX: Update presentation with slide data BEFORE saving to database
-          presentation.slides = renamedImageUrls;
-          presentation.slideCount = renamedImageUrls.length;
-          presentation.slideTexts = slideTexts;
-          presentation.isPlaceholder = false;
-          
-          console.log(`📊 Presentation data updated with ${renamedImageUrls.length} slides:`);
-          console.log(`🔗 Sample slide URLs:`, renamedImageUrls.slice(0, 3));
-          
-          // CRITICAL FIX: Save to database and verify before responding
-          try {
-            console.log(`💾 Saving converted presentation to database with slide data...`);
-            const savedPresentation = await saveToDatabase(presentation);
-            
-            // Verify the save worked
-            const verified = await verifyDatabaseSave(presentationId);
-            if (!verified) {
-              throw new Error('Database verification failed');
-            }
-            
-            // Add to memory cache only after successful database save
-            presentations[presentationId] = savedPresentation;
-            
-            // Add presentation to topic indexes
-            topics.forEach(topic => {
-              topic = topic.toLowerCase();
-              if (!presentationsByTopic[topic]) {
-                presentationsByTopic[topic] = [];
-              }
-              presentationsByTopic[topic].push(presentationId);
-            });
-            
-            console.log(`✅ Successfully saved and verified converted presentation ${presentationId} with ${renamedImageUrls.length} slides`);
-            
-            // Send success response
-            res.json({
-              id: presentationId,
-              originalName: req.file.originalname,
-              title: title,
-              slideCount: renamedImageUrls.length,
-              slides: renamedImageUrls,
-              slideTexts: slideTexts,
-              topics: topics
-            });
-            
-          } catch (dbError) {
-            console.error(`❌ CRITICAL: Failed to save converted presentation to database: ${dbError}`);
-            res.status(500).json({
-              error: "Failed to save presentation to database",
-              details: dbError.message,
-              id: presentationId,
-              status: "database_error"
-            });
-          }
-          
-          // Clean up temporary files
-          try {
-            fs.rmSync(tempDir, { recursive: true, force: true });
-            fs.rmSync(pdfPath, { force: true }); // Also clean up the PDF
-          } catch (cleanupError) {
-            console.error(`❌ Error cleaning up temp files: ${cleanupError.message}`);
-          }
-          
-          // Clean up the uploaded file
-          fs.unlink(inputFile, (err) => {
-            if (err) console.error(`❌ Error deleting uploaded file: ${err.message}`);
-          });
-          
-          return;
-        } else {
-          console.log('⚠️  PDF has no pages. Falling back to JPG conversion...');
-          await fallbackToJpgConversion();
-        }
-      } catch (pdfError) {
-        console.error(`❌ Error processing PDF: ${pdfError.message}`);
-        await fallbackToJpgConversion();
+    const transform = (pic.match(/<a:xfrm\b[\s\S]*?<\/a:xfrm>/) || [''])[0];
+    const offset = parseXmlAttributes((transform.match(/<a:off\b[^>]*>/) || [''])[0]);
+    const extent = parseXmlAttributes((transform.match(/<a:ext\b[^>]*>/) || [''])[0]);
+    references.push({
+      type: mediaTag[1] === 'videoFile' ? 'video' : 'audio',
+      partPath: rel.target,
+      position: {
+        x: fraction(offset.x, slideSize.width),
+        y: fraction(offset.y, slideSize.height),
+        width: fraction(extent.cx, slideSize.width),
+        height: fraction(extent.cy, slideSize.height)
       }
     });
   });
+  return references;
+}
+
+// Media references of every source slide, in source order
+function readSourceMediaReferences(filePath, sourceSlides) {
+  if (!sourceSlides || sourceSlides.format !== 'pptx') {
+    return [];
+  }
+  
+  try {
+    const zip = new AdmZip(filePath);
+    // Slide size in EMU; PowerPoint's 4:3 default when the package doesn't say
+    const slideSize = parseXmlAttributes((zip.readAsText('ppt/presentation.xml').match(/<p:sldSz\b[^>]*>/) || [''])[0]);
+    const size = { width: parseInt(slideSize.cx, 10) || 9144000, height: parseInt(slideSize.cy, 10) || 6858000 };
+    return sourceSlides.slides.map(slide =>
+      slide.path && zip.getEntry(slide.path) ? readSlideMediaReferences(zip, slide.path, size) : []);
+  } catch (error) {
+    console.error(`❌ Error reading slide media from ${filePath}: ${error.message}`);
+    return [];
+  }
+}
+
+// Package holding one slide per build step, in order, so a single LibreOffice run renders them all
+function writeBuildStepsDeck(filePath, stepSlides, deckPath) {
+  const zip = new AdmZip(filePath);
+  let contentTypes = zip.readAsText('[Content_Types].xml');
+  let presentationXml = zip.readAsText('ppt/presentation.xml');
+  let presentationRels = zip.readAsText('ppt/_rels/presentation.xml.rels');
+  const slideIds = [];
+  
+  stepSlides.forEach((stepSlide, index) => {
+    const partName = `buildstep${index + 1}.xml`;
+    zip.addFile(`ppt/slides/${partName}`, Buffer.from(stepSlide.xml.replace(/(<p:sld\b[^>]*?)\s+show="(?:0|false)"/, '$1'), 'utf8'));
+    
+    // Same layout, images and charts as the source slide; a notes page belongs to one slide only
+    const slideRels = zip.getEntry(stepSlide.path.replace(/([^/]+)$/, '_rels/$1.rels'));
+    if (slideRels) {
+      const relsXml = slideRels.getData().toString('utf8')
+        .replace(/<Relationship\b[^>]*\bType="[^"]*\/notesSlide"[^>]*\/>/g, '');
+      zip.addFile(`ppt/slides/_rels/${partName}.rels`, Buffer.from(relsXml, 'utf8'));
+    }
+    
+    contentTypes = contentTypes.replace('</Types>',
+      `<Override PartName="/ppt/slides/${partName}" ContentType="application/vnd.openxmlformats-officedocument.presentationml.slide+xml"/></Types>`);
+    presentationRels = presentationRels.replace('</Relationships>',
+      `<Relationship Id="rIdBuildStep${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/slide" Target="slides/${partName}"/></Relationships>`);
+    slideIds.push(`<p:sldId id="${256 + index}" r:id="rIdBuildStep${index + 1}"/>`);
+  });
+  
+  presentationXml = presentationXml.replace(/<p:sldIdLst>[\s\S]*?<\/p:sldIdLst>/, `<p:sldIdLst>${slideIds.join('')}</p:sldIdLst>`);
+  zip.updateFile('[Content_Types].xml', Buffer.from(contentTypes, 'utf8'));
+  zip.updateFile('ppt/presentation.xml', Buffer.from(presentationXml, 'utf8'));
+  zip.updateFile('ppt/_rels/presentation.xml.rels', Buffer.from(presentationRels, 'utf8'));
+  zip.writeZip(deckPath);
+}
+
+// Map per-source-slide values onto the rendered slides - LibreOffice leaves out hidden slides
+function alignWithRenderedSlides(ctx, renderedCount, sourceValues, emptyValue) {
+  const sourceSlides = ctx.sourceSlides;
+  if (!sourceSlides || sourceValues.length === 0) {
+    return Array.from({ length: renderedCount }, () => emptyValue);
+  }
+  
+  const renderedSourceSlides = renderedCount === sourceSlides.slideCount
+    ? sourceSlides.slides
+    : sourceSlides.slides.filter(slide => !slide.hidden);
   
-  // Fallback function for JPG conversion if PDF route fails
-  async function fallbackToJpgConversion() {
-    console.log('🔄 Falling back to direct JPG conversion...');
+  return Array.from({ length: renderedCount }, (value, index) => {
+    const sourceSlide = renderedSourceSlides[index];
+    return sourceSlide && sourceValues[sourceSlide.number - 1] !== undefined
+      ? sourceValues[sourceSlide.number - 1]
+      : emptyValue;
+  });
+}
+
+// Number of slides to generate when conversion can't tell us - the source count if we know it
+function estimateSlideCount(ctx) {
+  return ctx.sourceSlides && ctx.sourceSlides.slideCount > 0 ? ctx.sourceSlides.slideCount : 1;
+}
+
+// Placeholder slides are rendered with Jimp's bundled fonts so they work without ImageMagick
+const PLACEHOLDER_WIDTH = 1280;
+const PLACEHOLDER_HEIGHT = 720;
+let placeholderFonts = null;
+
+async function loadPlaceholderFonts() {
+  if (!placeholderFonts) {
+    placeholderFonts = {
+      heading: await Jimp.loadFont(Jimp.FONT_SANS_64_BLACK),
+      title: await Jimp.loadFont(Jimp.FONT_SANS_32_BLACK),
+      detail: await Jimp.loadFont(Jimp.FONT_SANS_16_BLACK)
+    };
+  }
+  return placeholderFonts;
+}
+
+// Function to render a placeholder JPEG with the slide number, title and failure reason
+async function createPlaceholderImage(outputPath, slideNumber, title, reason, background = '#eeeeee') {
+  try {
+    const fonts = await loadPlaceholderFonts();
+    const image = new Jimp(PLACEHOLDER_WIDTH, PLACEHOLDER_HEIGHT, background);
+    const center = { alignmentX: Jimp.HORIZONTAL_ALIGN_CENTER };
+    const margin = 80;
+    const textWidth = PLACEHOLDER_WIDTH - margin * 2;
+    
+    image.print(fonts.heading, margin, 200, { ...center, text: `Slide ${slideNumber}` }, textWidth);
+    image.print(fonts.title, margin, 320, { ...center, text: title || '' }, textWidth, 120);
+    image.print(fonts.detail, margin, 480, { ...center, text: `Slide image unavailable: ${reason || 'unknown error'}` }, textWidth, 80);
     
-    // Use LibreOffice to convert PowerPoint to JPG
-    const cmd = `libreoffice --headless --convert-to jpg:"draw_jpg_Export" --outdir ${outputDir} ${inputFile}`;
-    console.log(`🔄 Executing fallback command: ${cmd}`);
+    await image.quality(85).writeAsync(outputPath);
+    console.log(`📝 Created placeholder at ${outputPath}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ Error creating placeholder: ${error.message}`);
+    return false;
+  }
+}
+
+// Create a visually distinct placeholder - even and odd slides get different backgrounds
+async function createDistinctPlaceholder(outputPath, slideNumber, title, reason) {
+  const background = slideNumber % 2 === 0 ? '#dde6f0' : '#f0e6dd';
+  const created = await createPlaceholderImage(outputPath, slideNumber, title, reason, background);
+  if (created) {
+    console.log(`📝 Created distinct placeholder for slide ${slideNumber}`);
+  }
+  return created;
+}
+
+// FIXED: Static file serving with debug logging
+app.use('/slides', (req, res, next) => {
+  console.log(`📸 Slide request: ${req.originalUrl}`);
+  console.log(`📂 Looking for file: ${path.join(__dirname, 'public', 'slides', req.path)}`);
+  
+  // Check if file exists
+  const filePath = path.join(__dirname, 'public', 'slides', req.path);
+  if (fs.existsSync(filePath)) {
+    console.log(`✅ File exists: ${filePath}`);
+  } else {
+    console.log(`❌ File NOT found: ${filePath}`);
     
-    exec(cmd, async (error, stdout, stderr) => {
-      if (error) {
-        console.error(`❌ Conversion error: ${error.message}`);
-        await createFallbackPlaceholders();
+    // List what files ARE in the directory
+    const dirPath = path.dirname(filePath);
+    if (fs.existsSync(dirPath)) {
+      try {
+        const filesInDir = fs.readdirSync(dirPath);
+        console.log(`📁 Files in ${dirPath}:`, filesInDir);
+      } catch (err) {
+        console.log(`❌ Could not read directory ${dirPath}:`, err.message);
+      }
+    } else {
+      console.log(`❌ Directory does not exist: ${dirPath}`);
+    }
+  }
+  
+  next();
+});
+
+// Rebuild the LRU index from whatever is already in the cache directory, oldest first
+function loadSlideCacheIndex() {
+  try {
+    fs.mkdirSync(slideCacheDir, { recursive: true });
+    const files = [];
+    fs.readdirSync(slideCacheDir).forEach(presentationDir => {
+      const dirPath = path.join(slideCacheDir, presentationDir);
+      if (!fs.statSync(dirPath).isDirectory()) {
         return;
       }
+      fs.readdirSync(dirPath).forEach(file => {
+        const filePath = path.join(dirPath, file);
+        const stats = fs.statSync(filePath);
+        files.push({ filePath: filePath, size: stats.size, usedAt: stats.mtimeMs });
+      });
+    });
+    
+    files.sort((a, b) => a.usedAt - b.usedAt).forEach(file => {
+      slideCacheEntries.set(file.filePath, file.size);
+      slideCacheBytes += file.size;
+    });
+    evictSlideCache();
+    console.log(`🗄️  Slide cache holds ${slideCacheEntries.size} files (${(slideCacheBytes / 1024 / 1024).toFixed(1)} MB)`);
+  } catch (err) {
+    console.error(`❌ Error loading slide cache index: ${err.message}`);
+  }
+}
+
+// Remove least recently used files until the cache fits its size cap
+function evictSlideCache() {
+  for (const [filePath, size] of slideCacheEntries) {
+    if (slideCacheBytes <= SLIDE_CACHE_MAX_BYTES) {
+      break;
+    }
+    slideCacheEntries.delete(filePath);
+    slideCacheBytes -= size;
+    fs.rm(filePath, { force: true }, (err) => {
+      if (err) console.error(`❌ Error evicting cached slide ${filePath}: ${err.message}`);
+    });
+  }
+}
+
+function touchSlideCacheEntry(filePath, size) {
+  if (slideCacheEntries.has(filePath)) {
+    slideCacheBytes -= slideCacheEntries.get(filePath);
+    slideCacheEntries.delete(filePath);
+  }
+  slideCacheEntries.set(filePath, size);
+  slideCacheBytes += size;
+}
+
+// Look up a slide's master image URL by 1-based number through the presentation record
+// Returns { presentation, imageUrl } - either may be null
+async function resolveSlideImageUrl(presentationId, slideNumber) {
+  let presentation = presentations[presentationId];
+  if (!presentation) {
+    presentation = await Presentation.findOne({ id: presentationId, isDeleted: false }).lean();
+  }
+  if (!presentation || presentation.isDeleted) {
+    return { presentation: null, imageUrl: null };
+  }
+  
+  const slideItem = (presentation.slideItems || []).find(item => item.index === slideNumber - 1);
+  return {
+    presentation: presentation,
+    imageUrl: slideItem ? slideItem.imageUrl : ((presentation.slides || [])[slideNumber - 1] || null)
+  };
+}
+
+// Content hash of a slide file, streamed off the event loop and recomputed only when the file changes
+async function hashSlideFile(filePath, stats) {
+  stats = stats || await fs.promises.stat(filePath);
+  const known = slideFileHashes[filePath];
+  if (known && known.mtimeMs === stats.mtimeMs && known.size === stats.size) {
+    return known.hash;
+  }
+  
+  const hash = await hashFile(filePath);
+  slideFileHashes[filePath] = { mtimeMs: stats.mtimeMs, size: stats.size, hash: hash };
+  return hash;
+}
+
+// Short content version used in ?v= on content-hashed slide URLs
+async function getSlideVersion(filePath) {
+  return (await hashSlideFile(filePath)).substring(0, 16);
+}
+
+// Strong ETag from the served file; immutable caching when ?v= matches the master image's content.
+// Resolves the headers to set, or {} if the file can't be hashed
+async function slideCacheHeaders(req, filePath, masterPath, stats) {
+  try {
+    const immutable = req.query.v && req.query.v === await getSlideVersion(masterPath);
+    return {
+      'ETag': `"${await hashSlideFile(filePath, stats)}"`,
+      'Cache-Control': immutable ? 'public, max-age=31536000, immutable' : 'public, max-age=0, must-revalidate'
+    };
+  } catch (err) {
+    console.error(`❌ Error setting cache headers for ${filePath}: ${err.message}`);
+    return {};
+  }
+}
+
+// Read ?w=&h=&format=&q= - returns null when the request wants the file as stored
+function parseSlideTransform(query) {
+  if (query.w === undefined && query.h === undefined && query.format === undefined) {
+    return null;
+  }
+  
+  const toInteger = (value, name, min, max) => {
+    if (value === undefined) {
+      return null;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+      throw new Error(`${name} must be an integer between ${min} and ${max}`);
+    }
+    return number;
+  };
+  
+  const format = query.format === 'jpg' ? 'jpeg' : query.format;
+  if (format !== undefined && !IMAGE_FORMAT_EXTENSIONS[format]) {
+    throw new Error(`Unsupported image format '${format}' (use ${Object.keys(IMAGE_FORMAT_EXTENSIONS).join(', ')})`);
+  }
+  
+  return {
+    width: toInteger(query.w, 'w', 16, 4096),
+    height: toInteger(query.h, 'h', 16, 4096),
+    format: format || null,
+    quality: toInteger(query.q, 'q', 1, 100) || DEFAULT_RENDER_PROFILE.quality
+  };
+}
+
+// Resize/reformat a master slide image into the disk cache, returning the cached file path
+async function renderCachedSlide(masterPath, presentationId, transform) {
+  const masterStats = fs.statSync(masterPath);
+  const masterFormat = transform.format || (await sharp(masterPath).metadata()).format;
+  
+  // The master's mtime is part of the name so re-converted slides don't serve stale variants
+  const cacheName = [
+    path.parse(masterPath).name,
+    `m${Math.floor(masterStats.mtimeMs)}`,
+    `w${transform.width || 0}`,
+    `h${transform.height || 0}`,
+    `q${transform.quality}`
+  ].join('-') + `.${IMAGE_FORMAT_EXTENSIONS[masterFormat]}`;
+  const cachePath = path.join(slideCacheDir, presentationId, cacheName);
+  
+  if (slideCacheEntries.has(cachePath) && fs.existsSync(cachePath)) {
+    touchSlideCacheEntry(cachePath, slideCacheEntries.get(cachePath));
+    return cachePath;
+  }
+  
+  if (!slideCacheRenders[cachePath]) {
+    slideCacheRenders[cachePath] = (async () => {
+      fs.mkdirSync(path.dirname(cachePath), { recursive: true });
       
-      console.log(`✅ Conversion output: ${stdout}`);
+      // Write to a temp name first so readers never see a half-written file
+      const tempPath = `${cachePath}.${uuidv4()}.tmp`;
+      const info = await sharp(masterPath)
+        .resize({
+          width: transform.width || undefined,
+          height: transform.height || undefined,
+          fit: 'inside',
+          withoutEnlargement: true
+        })
+        .toFormat(masterFormat, { quality: transform.quality })
+        .toFile(tempPath);
+      fs.renameSync(tempPath, cachePath);
       
-      // Get the generated images
-      fs.readdir(outputDir, async (err, files) => {
-        if (err) {
-          console.error(`❌ Error reading output directory: ${err.message}`);
-          await createFallbackPlaceholders();
-          return;
-        }
-        
-        // Filter for JPG files and sort them
-        let imageFiles = files.filter(file => file.endsWith('.jpg'));
-        console.log(`📸 Found ${imageFiles.length} jpg files`);
-        
-        // If no images were generated, create placeholders
-        if (imageFiles.length === 0) {
-          console.log('⚠️  No images were generated. Creating placeholders...');
-          await createFallbackPlaceholders();
-          return;
-        }
-        
-        // Rename files to match expected format (slide-1.jpg, slide-2.jpg, etc.)
-        console.log(`🔄 Renaming ${imageFiles.length} slide images to standard format`);
-        const renamedImageUrls = [];
-        const slideTexts = [];
-        
-        imageFiles.forEach((file, index) => {
-          const oldPath = path.join(outputDir, file);
-          const newFileName = `slide-${index+1}.jpg`;
-          const newPath = path.join(outputDir, newFileName);
-          
-          try {
-            // Rename the file
-            fs.renameSync(oldPath, newPath);
-            renamedImageUrls.push(`/slides/${presentationId}/${newFileName}`);
-            slideTexts.push(`Slide ${index+1}`);
-          } catch (error) {
-            console.error(`❌ Error renaming file ${file}: ${error.message}`);
-            // Use the original file as fallback
-            renamedImageUrls.push(`/slides/${presentationId}/${file}`);
-            slideTexts.push(`Slide ${index+1}`);
-          }
-        });
-        
-        // Add distinct placeholders for multi-slide presentations
-        // if only one slide was converted
-        if (imageFiles.length === 1) {
-          console.log('⚠️  Only one slide converted. Creating distinct placeholders...');
-          
-          // Use the estimated slide count from filename or default to 23
-          const estimatedSlideCount = 23;
-          
-          // First slide already exists
-          // Create remaining slides as distinct placeholders
-          for (let i = 1; i < estimatedSlideCount; i++) {
-            const slideNumber = i + 1;
-            const newFileName = `slide-${slideNumber}.jpg`;
-            const newPath = path.join(outputDir, newFileName);
-            
-            try {
-              // Create a distinct placeholder for this slide
-              createDistinctPlaceholder(newPath, slideNumber, req.file.originalname);
-              renamedImageUrls.push(`/slides/${presentationId}/${newFileName}`);
-              slideTexts.push(`Slide ${slideNumber} (Placeholder)`);
-            } catch (error) {
-              console.error(`❌ Error creating slide ${slideNumber}: ${error.message}`);
-            }
-          }
-        }
-        
-        // Update presentation with slide data
-        presentation.slides = renamedImageUrls;
-        presentation.slideCount = renamedImageUrls.length;
-        presentation.slideTexts = slideTexts;
-        presentation.isPlaceholder = false;
-        
-        // CRITICAL FIX: Save to database and verify before responding
-        try {
-          console.log(`💾 Saving fallback presentation to database...`);
-          const savedPresentation = await saveToDatabase(presentation);
-          
-          // Verify the save worked
-          const verified = await verifyDatabaseSave(presentationId);
-          if (!verified) {
-            throw new Error('Database verification failed');
-          }
-          
-          // Add to memory cache only after successful database save
-          presentations[presentationId] = savedPresentation;
-          
-          // Add presentation to topic indexes
-          topics.forEach(topic => {
-            topic = topic.toLowerCase();
-            if (!presentationsByTopic[topic]) {
-              presentationsByTopic[topic] = [];
-            }
-            presentationsByTopic[topic].push(presentationId);
-          });
-          
-          console.log(`✅ Successfully saved and verified fallback presentation ${presentationId}`);
-          
-          // Send success response
-          res.json({
-            id: presentationId,
-            originalName: req.file.originalname,
-            title: title,
-            slideCount: renamedImageUrls.length,
-            slides: renamedImageUrls,
-            slideTexts: slideTexts,
-            topics: topics
-          });
-          
-        } catch (dbError) {
-          console.error(`❌ CRITICAL: Failed to save fallback presentation to database: ${dbError}`);
-          res.status(500).json({
-            error: "Failed to save presentation to database",
-            details: dbError.message,
-            id: presentationId,
-            status: "database_error"
-          });
-        }
-        
-        // Clean up the uploaded file
-        fs.unlink(inputFile, (err) => {
-          if (err) console.error(`❌ Error deleting uploaded file: ${err.message}`);
-        });
-      });
+      touchSlideCacheEntry(cachePath, info.size);
+      evictSlideCache();
+      console.log(`🗄️  Cached ${masterFormat} ${info.width}x${info.height} variant: ${cachePath}`);
+      return cachePath;
+    })().finally(() => {
+      delete slideCacheRenders[cachePath];
     });
   }
   
-  // Helper function to create fallback placeholders
-  async function createFallbackPlaceholders() {
-    const estimatedSlideCount = 23; // Default to 23 slides
-    const placeholderUrls = [];
-    const slideTexts = [];
+  return slideCacheRenders[cachePath];
+}
+
+loadSlideCacheIndex();
+
+// Get a specific slide: /slides/:presentationId/:slideNumber redirects to the content-hashed image URL
+// On-the-fly resizing: /slides/:presentationId/:slide?w=320&format=webp
+// :slide is a file name (slide-3.jpg) or a 1-based slide number; file names without w/h/format fall through to the static files
+app.get('/slides/:presentationId/:slide', async (req, res, next) => {
+  const { presentationId, slide } = req.params;
+  const isSlideNumber = /^\d+$/.test(slide);
+  
+  let transform;
+  try {
+    transform = parseSlideTransform(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (!transform && !isSlideNumber) {
+    return next();
+  }
+  
+  try {
+    let masterUrl = `/slides/${presentationId}/${slide}`;
+    if (isSlideNumber) {
+      // Resolve through the presentation record so reordered or re-converted slides still work
+      const resolved = await resolveSlideImageUrl(presentationId, parseInt(slide, 10));
+      if (!resolved.presentation) {
+        return res.status(404).json({ error: 'Presentation not found' });
+      }
+      masterUrl = resolved.imageUrl;
+    }
+    const masterPath = masterUrl ? slideUrlToPath(masterUrl) : null;
     
-    for (let i = 0; i < estimatedSlideCount; i++) {
-      const slideNumber = i + 1;
-      const placeholderPath = path.join(outputDir, `slide-${slideNumber}.jpg`);
-      createDistinctPlaceholder(placeholderPath, slideNumber, req.file.originalname);
-      placeholderUrls.push(`/slides/${presentationId}/slide-${slideNumber}.jpg`);
-      slideTexts.push(`Slide ${slideNumber} (Placeholder)`);
+    if (!masterPath || !fs.existsSync(masterPath)) {
+      return res.status(404).json({ error: 'Slide not found' });
     }
     
-    // Update presentation with placeholder data
-    presentation.slides = placeholderUrls;
-    presentation.slideCount = estimatedSlideCount;
-    presentation.slideTexts = slideTexts;
-    presentation.isPlaceholder = true;
+    if (!transform) {
+      // The number can point at a different image later, so the redirect itself is never cached
+      res.set('Cache-Control', 'no-cache');
+      return res.redirect(302, `${masterUrl}?v=${await getSlideVersion(masterPath)}`);
+    }
     
-    // CRITICAL FIX: Save to database and verify before responding
+    const cachePath = await renderCachedSlide(masterPath, presentationId, transform);
+    res.set(await slideCacheHeaders(req, cachePath, masterPath));
+    res.sendFile(cachePath, { etag: false, cacheControl: false });
+  } catch (err) {
+    console.error(`❌ Error resizing slide ${req.originalUrl}: ${err.message}`);
+    res.status(500).json({ error: 'Could not render slide image' });
+  }
+});
+
+// express.static's setHeaders can't wait for a hash, so work out the cache headers first
+app.use('/slides', async (req, res, next) => {
+  const filePath = slideUrlToPath(`/slides${req.path}`);
+  if ((req.method === 'GET' || req.method === 'HEAD') && filePath) {
+    const stats = await fs.promises.stat(filePath).catch(() => null);
+    if (stats && stats.isFile()) {
+      res.locals.slideCacheHeaders = await slideCacheHeaders(req, filePath, filePath, stats);
+    }
+  }
+  next();
+});
+
+// Serve static files from the public directory
+app.use('/slides', express.static(path.join(__dirname, 'public', 'slides'), {
+  etag: false, // Replaced by the strong content-hash ETag above
+  setHeaders: (res) => res.set(res.locals.slideCacheHeaders || {})
+}));
+app.use(express.static(path.join(__dirname, 'public')));
+
+// Debug endpoints
+app.get('/debug/slides/:presentationId', (req, res) => {
+  const presentationId = req.params.presentationId;
+  const slidesDir = path.join(__dirname, 'public', 'slides', presentationId);
+  
+  console.log(`🔍 Debug request for presentation: ${presentationId}`);
+  console.log(`🔍 Looking in directory: ${slidesDir}`);
+  
+  if (fs.existsSync(slidesDir)) {
     try {
-      console.log(`💾 Saving final fallback presentation to database...`);
-      const savedPresentation = await saveToDatabase(presentation);
-      
-      // Verify the save worked
-      const verified = await verifyDatabaseSave(presentationId);
-      if (!verified) {
-        throw new Error('Database verification failed');
-      }
-      
-      // Add to memory cache only after successful database save
-      presentations[presentationId] = savedPresentation;
-      
-      // Add presentation to topic indexes
-      topics.forEach(topic => {
-        topic = topic.toLowerCase();
-        if (!presentationsByTopic[topic]) {
-          presentationsByTopic[topic] = [];
-        }
-        presentationsByTopic[topic].push(presentationId);
-      });
-      
-      console.log(`✅ Successfully saved and verified final fallback presentation ${presentationId}`);
+      const files = fs.readdirSync(slidesDir);
+      console.log(`✅ Found ${files.length} files in slides directory`);
       
-      // Send success response
       res.json({
-        id: presentationId,
-        originalName: req.file.originalname,
-        title: title,
-        slideCount: estimatedSlideCount,
-        slides: placeholderUrls,
-        slideTexts: slideTexts,
-        status: "fallback_placeholders",
-        message: "Conversion failed. Generated distinct placeholder slides instead.",
-        topics: topics
+        success: true,
+        presentationId: presentationId,
+        slidesDirectory: slidesDir,
+        filesFound: files.length,
+        files: files,
+        sampleUrls: files.slice(0, 5).map(file => `/slides/${presentationId}/${file}`),
+        firstFileFullPath: files.length > 0 ? path.join(slidesDir, files[0]) : null
       });
-      
-    } catch (dbError) {
-      console.error(`❌ CRITICAL: Failed to save final fallback presentation to database: ${dbError}`);
+    } catch (err) {
+      console.error(`❌ Error reading slides directory: ${err}`);
       res.status(500).json({
-        error: "Failed to save presentation to database",
-        details: dbError.message,
-        id: presentationId,
-        status: "database_error"
+        error: 'Could not read slides directory',
+        presentationId: presentationId,
+        directory: slidesDir,
+        errorMessage: err.message
+      });
+    }
+  } else {
+    console.log(`❌ Slides directory not found: ${slidesDir}`);
+    
+    // Check if parent directory exists
+    const parentDir = path.join(__dirname, 'public', 'slides');
+    if (fs.existsSync(parentDir)) {
+      const allPresentations = fs.readdirSync(parentDir);
+      res.status(404).json({
+        error: 'Slides directory not found for this presentation',
+        presentationId: presentationId,
+        expectedPath: slidesDir,
+        availablePresentations: allPresentations
+      });
+    } else {
+      res.status(404).json({
+        error: 'Slides parent directory not found',
+        presentationId: presentationId,
+        expectedPath: slidesDir,
+        parentDirectory: parentDir,
+        parentExists: false
       });
     }
-    
-    // Clean up the uploaded file
-    fs.unlink(inputFile, (err) => {
-      if (err) console.error(`❌ Error deleting uploaded file: ${err.message}`);
-    });
   }
-});
+});
+
+app.get('/debug/filesystem', (req, res) => {
+  const publicDir = path.join(__dirname, 'public');
+  const slidesDir = path.join(__dirname, 'public', 'slides');
+  
+  const result = {
+    serverDirectory: __dirname,
+    publicDirectory: publicDir,
+    slidesDirectory: slidesDir,
+    publicExists: fs.existsSync(publicDir),
+    slidesExists: fs.existsSync(slidesDir)
+  };
+  
+  if (fs.existsSync(publicDir)) {
+    try {
+      result.publicContents = fs.readdirSync(publicDir);
+    } catch (err) {
+      result.publicError = err.message;
+    }
+  }
+  
+  if (fs.existsSync(slidesDir)) {
+    try {
+      result.slidesContents = fs.readdirSync(slidesDir);
+    } catch (err) {
+      result.slidesError = err.message;
+    }
+  }
+  
+  res.json(result);
+});
+
+// PROGRESS TRACKING MIDDLEWARE
+function trackUploadProgress(req, res, next) {
+  if (req.method !== 'POST') {
+    return next();
+  }
+  
+  // Client-supplied upload id, or a server-issued one returned in the 202 response
+  const uploadId = req.get('X-Upload-Id') || req.query.uploadId || uuidv4();
+  if (!isValidUploadId(uploadId)) {
+    return res.status(400).json({ error: 'Invalid upload id' });
+  }
+  req.uploadId = uploadId;
+  
+  const totalBytes = parseInt(req.headers['content-length'], 10) || 0;
+  let uploadedBytes = 0;
+  let lastReportedAt = 0;
+  
+  updateUploadProgress(uploadId, {
+    status: 'uploading',
+    progress: 0,
+    bytesReceived: 0,
+    totalBytes: totalBytes,
+    error: null
+  });
+
+  // Track upload progress
+  req.on('data', (chunk) => {
+    uploadedBytes += chunk.length;
+    
+    // Throttle updates so large uploads don't flood subscribers
+    const now = Date.now();
+    if (now - lastReportedAt < 250) {
+      return;
+    }
+    lastReportedAt = now;
+    
+    const progress = totalBytes > 0 ? Math.min(100, (uploadedBytes / totalBytes) * 100) : 0;
+    updateUploadProgress(uploadId, {
+      progress: Math.round(progress * 10) / 10,
+      bytesReceived: uploadedBytes
+    });
+    console.log(`📤 Upload ${uploadId} progress: ${progress.toFixed(1)}%`);
+  });
+
+  req.on('end', () => {
+    updateUploadProgress(uploadId, {
+      status: 'uploaded',
+      progress: 100,
+      bytesReceived: uploadedBytes,
+      totalBytes: totalBytes || uploadedBytes
+    });
+    console.log(`📤 Upload ${uploadId} completed (${uploadedBytes} bytes)`);
+  });
+  
+  req.on('aborted', () => {
+    updateUploadProgress(uploadId, { status: 'failed', error: 'Upload aborted by client' });
+  });
+
+  next();
+}
+
+app.use('/convert', trackUploadProgress);
+
+// Health check endpoint
+app.get('/', (req, res) => {
+  res.send('PowerPoint Conversion Server v1.6 is running');
+});
+
+// Conversion tools found at startup and the routes they allow
+app.get('/health/capabilities', async (req, res) => {
+  res.json(await detectCapabilities());
+});
+
+// State of the pooled LibreOffice instances
+app.get('/health/office-pool', (req, res) => {
+  res.json(describeOfficePool());
+});
+
+// Output image formats we can render, and the file extension for each
+const IMAGE_FORMAT_EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp' };
+
+// Used when /convert doesn't specify a profile: default-DPI JPEG plus a small thumbnail
+const DEFAULT_RENDER_PROFILE = { formats: ['jpeg'], widths: [320], dpi: 150, quality: 85, builds: false };
+
+// Read a rendering profile from the /convert form fields (renderProfile JSON, or formats/widths/dpi/quality/builds)
+// Throws with a client-facing message when the profile is invalid
+function parseRenderProfile(body) {
+  let input = {};
+  if (body.renderProfile) {
+    try {
+      input = typeof body.renderProfile === 'string' ? JSON.parse(body.renderProfile) : body.renderProfile;
+    } catch (error) {
+      throw new Error('renderProfile must be valid JSON');
+    }
+  }
+  
+  const pick = (name) => input[name] !== undefined ? input[name] : body[name];
+  const toList = (value) => {
+    if (value === undefined || value === null || value === '') {
+      return undefined;
+    }
+    return (Array.isArray(value) ? value : String(value).split(','))
+      .map(item => String(item).trim().toLowerCase())
+      .filter(Boolean);
+  };
+  const toInteger = (value, name, min, max) => {
+    if (value === undefined || value === null || value === '') {
+      return undefined;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+      throw new Error(`${name} must be an integer between ${min} and ${max}`);
+    }
+    return number;
+  };
+  const toBoolean = (value, name) => {
+    if (value === undefined || value === null || value === '') {
+      return undefined;
+    }
+    if (typeof value === 'boolean') {
+      return value;
+    }
+    if (['true', '1', 'yes'].includes(String(value).toLowerCase())) {
+      return true;
+    }
+    if (['false', '0', 'no'].includes(String(value).toLowerCase())) {
+      return false;
+    }
+    throw new Error(`${name} must be true or false`);
+  };
+  
+  const formats = toList(pick('formats'));
+  if (formats) {
+    formats.forEach((format, index) => {
+      if (format === 'jpg') {
+        formats[index] = 'jpeg';
+      } else if (!IMAGE_FORMAT_EXTENSIONS[format]) {
+        throw new Error(`Unsupported image format '${format}' (use ${Object.keys(IMAGE_FORMAT_EXTENSIONS).join(', ')})`);
+      }
+    });
+  }
+  
+  const widths = toList(pick('widths'));
+  if (widths && widths.length > 6) {
+    throw new Error('At most 6 target widths are allowed');
+  }
+  
+  return {
+    formats: formats ? [...new Set(formats)] : DEFAULT_RENDER_PROFILE.formats,
+    widths: widths
+      ? [...new Set(widths.map(width => toInteger(width, 'widths', 16, 4096)))].sort((a, b) => a - b)
+      : DEFAULT_RENDER_PROFILE.widths,
+    dpi: toInteger(pick('dpi'), 'dpi', 36, 600) || DEFAULT_RENDER_PROFILE.dpi,
+    quality: toInteger(pick('quality'), 'quality', 1, 100) || DEFAULT_RENDER_PROFILE.quality,
+    builds: toBoolean(pick('builds'), 'builds') || DEFAULT_RENDER_PROFILE.builds
+  };
+}
+
+// How /convert treats an upload whose content was already converted with the same profile
+const DEDUPE_MODES = ['reuse', 'reject', 'off'];
+
+// SHA-256 of a file on disk, streamed so large decks aren't read into memory
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// Stable key for comparing rendering profiles regardless of list order
+function renderProfileKey(profile) {
+  const effective = profile || DEFAULT_RENDER_PROFILE;
+  return JSON.stringify({
+    formats: [...(effective.formats || DEFAULT_RENDER_PROFILE.formats)].sort(),
+    widths: [...(effective.widths || DEFAULT_RENDER_PROFILE.widths)].sort((a, b) => a - b),
+    dpi: effective.dpi || DEFAULT_RENDER_PROFILE.dpi,
+    quality: effective.quality || DEFAULT_RENDER_PROFILE.quality,
+    builds: !!effective.builds
+  });
+}
+
+// Find a successful conversion of the same file and profile whose slide files are still on disk
+async function findConvertedDuplicate(contentHash, profile) {
+  let candidates;
+  if (mongoose.connection.readyState === 1) {
+    candidates = await Presentation.find({ contentHash: contentHash, isDeleted: false, isPlaceholder: false })
+      .sort({ converted: -1 })
+      .lean();
+  } else {
+    candidates = Object.values(presentations)
+      .filter(pres => pres.contentHash === contentHash && !pres.isDeleted && !pres.isPlaceholder);
+  }
+  
+  const profileKey = renderProfileKey(profile);
+  return candidates.find(candidate => {
+    if (renderProfileKey(candidate.renderProfile) !== profileKey || !candidate.slides || candidate.slides.length === 0) {
+      return false;
+    }
+    const firstSlidePath = slideUrlToPath(candidate.slides[0]);
+    return firstSlidePath && fs.existsSync(firstSlidePath);
+  }) || null;
+}
+
+// Render every format/width in the profile from a master slide image
+async function renderImageVariants(masterUrl, profile) {
+  const masterPath = slideUrlToPath(masterUrl);
+  const variants = [];
+  
+  let metadata;
+  try {
+    metadata = await sharp(masterPath).metadata();
+  } catch (error) {
+    console.error(`❌ Could not read master image ${masterUrl}: ${error.message}`);
+    return variants;
+  }
+  
+  variants.push({ format: metadata.format, width: metadata.width, height: metadata.height, url: masterUrl, isMaster: true });
+  
+  // Never upscale - widths at or above the master size collapse into a full-size rendition
+  const baseName = path.parse(masterPath).name;
+  const targetWidths = [...new Set([...profile.widths.filter(width => width < metadata.width), metadata.width])];
+  
+  for (const format of profile.formats) {
+    for (const width of targetWidths) {
+      const isFullSize = width === metadata.width;
+      if (isFullSize && format === metadata.format) {
+        continue; // That's the master
+      }
+      
+      const fileName = `${baseName}${isFullSize ? '' : `-w${width}`}.${IMAGE_FORMAT_EXTENSIONS[format]}`;
+      try {
+        const info = await sharp(masterPath)
+          .resize({ width: width, withoutEnlargement: true })
+          .toFormat(format, { quality: profile.quality })
+          .toFile(path.join(path.dirname(masterPath), fileName));
+        variants.push({ format: format, width: info.width, height: info.height, url: `${path.posix.dirname(masterUrl)}/${fileName}` });
+      } catch (error) {
+        console.error(`❌ Error rendering ${format} ${width}px variant of ${masterUrl}: ${error.message}`);
+      }
+    }
+  }
+  
+  return variants;
+}
+
+// Render the responsive image set for every slide
+async function renderSlideVariants(ctx, slideUrls) {
+  const slideVariants = [];
+  console.log(`🖼️  Rendering ${ctx.renderProfile.formats.join('/')} variants at widths [${ctx.renderProfile.widths.join(', ')}]`);
+  
+  for (let index = 0; index < slideUrls.length; index++) {
+    reportSlideProgress(ctx.job, index + 1, slideUrls.length);
+    slideVariants.push(await renderImageVariants(slideUrls[index], ctx.renderProfile));
+  }
+  
+  return slideVariants;
+}
+
+// Upload progress helpers - ids come from the client (X-Upload-Id) or POST /upload-progress
+function isValidUploadId(uploadId) {
+  return typeof uploadId === 'string' && /^[A-Za-z0-9_-]{1,64}$/.test(uploadId);
+}
+
+function getUploadProgress(uploadId) {
+  if (!uploadProgress[uploadId]) {
+    uploadProgress[uploadId] = {
+      uploadId: uploadId,
+      status: 'waiting',
+      progress: 0,
+      bytesReceived: 0,
+      totalBytes: 0,
+      jobId: null,
+      presentationId: null,
+      currentSlide: 0,
+      totalSlides: 0,
+      message: null,
+      error: null,
+      updatedAt: new Date()
+    };
+    scheduleUploadProgressExpiry(uploadId);
+  }
+  return uploadProgress[uploadId];
+}
+
+// Forget an entry once nobody has touched it for UPLOAD_PROGRESS_TTL_MS
+function scheduleUploadProgressExpiry(uploadId) {
+  clearTimeout(uploadProgressTimers[uploadId]);
+  uploadProgressTimers[uploadId] = setTimeout(() => {
+    delete uploadProgress[uploadId];
+    delete uploadProgressTimers[uploadId];
+  }, UPLOAD_PROGRESS_TTL_MS);
+  uploadProgressTimers[uploadId].unref();
+}
+
+function updateUploadProgress(uploadId, changes) {
+  const entry = getUploadProgress(uploadId);
+  Object.assign(entry, changes, { updatedAt: new Date() });
+  scheduleUploadProgressExpiry(uploadId);
+  jobEvents.emit(`upload:${uploadId}`, { ...entry });
+  return entry;
+}
+
+// Report per-slide progress for the current pipeline stage ("slide 12 of 40")
+function reportSlideProgress(job, currentSlide, totalSlides) {
+  if (!job.uploadId) {
+    return;
+  }
+  updateUploadProgress(job.uploadId, {
+    currentSlide: currentSlide,
+    totalSlides: totalSlides,
+    message: `slide ${currentSlide} of ${totalSlides}`
+  });
+}
+
+// Conversion job helpers - POST /convert only queues work, the pool below runs it
+function serializeJob(job) {
+  return {
+    id: job.id,
+    presentationId: job.presentationId,
+    status: job.status,
+    uploadId: job.uploadId || null,
+    originalName: job.originalName,
+    title: job.metadata?.title,
+    error: job.error || null,
+    failureReason: job.failureReason || null,
+    result: job.result || null,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    finishedAt: job.finishedAt || null,
+    updatedAt: job.updatedAt
+  };
+}
+
+// Update job state in memory, notify subscribers and persist to database
+async function updateJobStatus(jobId, status, extra = {}) {
+  const job = conversionJobs[jobId];
+  if (!job) {
+    console.error(`❌ Cannot update unknown job ${jobId}`);
+    return;
+  }
+  
+  const now = new Date();
+  Object.assign(job, extra, { status: status, updatedAt: now });
+  if (status !== 'queued' && !job.startedAt) {
+    job.startedAt = now;
+  }
+  if (TERMINAL_JOB_STATES.includes(status)) {
+    job.finishedAt = now;
+    scheduleConversionJobExpiry(jobId);
+  }
+  
+  console.log(`🔧 Job ${jobId} (${job.presentationId}) is now: ${status}`);
+  jobEvents.emit(`job:${jobId}`, serializeJob(job));
+  
+  if (job.uploadId) {
+    updateUploadProgress(job.uploadId, {
+      status: status,
+      jobId: jobId,
+      presentationId: job.presentationId,
+      currentSlide: 0,
+      totalSlides: 0,
+      message: null,
+      error: job.error || null
+    });
+  }
+  
+  if (mongoose.connection.readyState !== 1) {
+    return;
+  }
+  
+  try {
+    await ConversionJob.findOneAndUpdate(
+      { id: jobId },
+      {
+        $set: {
+          status: job.status,
+          error: job.error,
+          failureReason: job.failureReason,
+          result: job.result,
+          startedAt: job.startedAt,
+          finishedAt: job.finishedAt,
+          updatedAt: job.updatedAt
+        }
+      }
+    );
+  } catch (err) {
+    console.error(`❌ Error persisting status of job ${jobId}: ${err}`);
+  }
+}
+
+// Drop a finished job from memory after CONVERSION_JOB_TTL_MS; ConversionJob keeps the record
+function scheduleConversionJobExpiry(jobId) {
+  clearTimeout(conversionJobTimers[jobId]);
+  conversionJobTimers[jobId] = setTimeout(() => {
+    delete conversionJobs[jobId];
+    delete conversionJobTimers[jobId];
+  }, CONVERSION_JOB_TTL_MS);
+  conversionJobTimers[jobId].unref();
+}
+
+function enqueueConversionJob(jobId) {
+  jobQueue.push(jobId);
+  console.log(`📥 Job ${jobId} queued (${jobQueue.length} waiting, ${activeJobCount} running)`);
+  drainJobQueue();
+}
+
+// Start queued jobs until the worker pool is full
+function drainJobQueue() {
+  while (activeJobCount < MAX_CONCURRENT_CONVERSIONS && jobQueue.length > 0) {
+    const job = conversionJobs[jobQueue.shift()];
+    if (!job) {
+      continue;
+    }
+    
+    activeJobCount++;
+    processConversionJob(job)
+      .catch(err => {
+        console.error(`❌ Unhandled error in job ${job.id}: ${err.stack}`);
+      })
+      .finally(() => {
+        activeJobCount--;
+        drainJobQueue();
+      });
+  }
+}
+
+// Delete a job's upload - a file, or a directory for image sets
+function removeJobInput(inputPath) {
+  fs.rm(inputPath, { recursive: true, force: true }, (err) => {
+    if (err) console.error(`❌ Error deleting uploaded file: ${err.message}`);
+  });
+}
+
+// Re-queue jobs that were interrupted by a restart
+async function resumePendingJobs() {
+  try {
+    const pendingJobs = await ConversionJob.find({ status: { $nin: TERMINAL_JOB_STATES } }).sort({ createdAt: 1 });
+    console.log(`🔧 Found ${pendingJobs.length} unfinished conversion jobs`);
+    
+    for (const jobDoc of pendingJobs) {
+      const job = jobDoc.toObject();
+      conversionJobs[job.id] = job;
+      
+      if (fs.existsSync(job.inputPath)) {
+        await updateJobStatus(job.id, 'queued');
+        enqueueConversionJob(job.id);
+      } else {
+        await updateJobStatus(job.id, 'failed', { error: 'Uploaded file was lost before conversion finished' });
+      }
+    }
+  } catch (err) {
+    console.error(`❌ Error resuming pending jobs: ${err}`);
+  }
+}
+
+// Error for a job stopped by a cancel request
+function cancellationError() {
+  const error = new Error('Conversion cancelled');
+  error.reason = 'cancelled';
+  return error;
+}
+
+function throwIfCancelled(ctx) {
+  if (ctx.signal && ctx.signal.aborted) {
+    throw cancellationError();
+  }
+}
+
+// Command and arguments that run `command` under ulimit memory (MB) and CPU (s) caps.
+// Resource limits need ulimit, so wrap in sh - the tool and its arguments still go through "$@"
+function withResourceLimits(command, args, limits = {}) {
+  const ulimits = [];
+  if (limits.memoryMb > 0) {
+    ulimits.push(`ulimit -v ${limits.memoryMb * 1024}`);
+  }
+  if (limits.cpuSeconds > 0) {
+    ulimits.push(`ulimit -t ${limits.cpuSeconds}`);
+  }
+  return ulimits.length > 0
+    ? ['sh', ['-c', [...ulimits, 'exec "$@"'].join(' && '), 'sh', command, ...args]]
+    : [command, args];
+}
+
+// Run an external tool with an argument array - never through a shell - in its own process group.
+// stdout/stderr keep at most maxOutputBytes each; `limits` applies ulimit memory (MB) and CPU (s) caps.
+// Always resolves { ok, code, signal, stdout, stderr, truncated, timedOut, cancelled, error, durationMs }
+function runTool(command, args, options = {}) {
+  const {
+    signal,
+    timeoutMs = TOOL_TIMEOUT_MS,
+    maxOutputBytes = TOOL_MAX_OUTPUT_BYTES,
+    limits = {}
+  } = options;
+  const startedAt = Date.now();
+  const result = {
+    command: command,
+    ok: false,
+    code: null,
+    signal: null,
+    stdout: '',
+    stderr: '',
+    truncated: false,
+    timedOut: false,
+    cancelled: false,
+    error: null,
+    durationMs: 0
+  };
+  
+  return new Promise((resolve) => {
+    if (signal && signal.aborted) {
+      result.cancelled = true;
+      return resolve(result);
+    }
+    
+    const [file, fileArgs] = withResourceLimits(command, args, limits);
+    
+    let child;
+    try {
+      child = spawn(file, fileArgs.map(String), { detached: true, stdio: ['ignore', 'pipe', 'pipe'] });
+    } catch (err) {
+      result.error = err.message;
+      return resolve(result);
+    }
+    if (child.pid) {
+      runningToolGroups.add(child.pid);
+    }
+    
+    const stdout = [];
+    const stderr = [];
+    const collect = (chunks) => (chunk) => {
+      const kept = chunks.reduce((total, item) => total + item.length, 0);
+      if (kept + chunk.length > maxOutputBytes) {
+        result.truncated = true;
+        chunk = chunk.subarray(0, Math.max(0, maxOutputBytes - kept));
+      }
+      if (chunk.length > 0) {
+        chunks.push(chunk);
+      }
+    };
+    child.stdout.on('data', collect(stdout));
+    child.stderr.on('data', collect(stderr));
+    
+    // Kill the whole group - tools like soffice leave children behind
+    const killGroup = () => {
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch (err) {
+        // Group already gone
+      }
+    };
+    const onAbort = () => {
+      result.cancelled = true;
+      killGroup();
+    };
+    const timer = setTimeout(() => {
+      result.timedOut = true;
+      killGroup();
+    }, timeoutMs);
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    
+    let settled = false;
+    const finish = () => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      killGroup();
+      runningToolGroups.delete(child.pid);
+      
+      result.stdout = Buffer.concat(stdout).toString('utf8');
+      result.stderr = Buffer.concat(stderr).toString('utf8');
+      result.ok = result.code === 0 && !result.timedOut && !result.cancelled && !result.error;
+      result.durationMs = Date.now() - startedAt;
+      resolve(result);
+    };
+    
+    child.on('error', (err) => {
+      result.error = err.message;
+      finish();
+    });
+    child.on('close', (code, exitSignal) => {
+      result.code = code;
+      result.signal = exitSignal;
+      finish();
+    });
+  });
+}
+
+// Run headless LibreOffice with a throwaway profile, resource limits and a timeout; the process tree
+// is killed when the run ends, times out or is cancelled through `signal`.
+// Resolves { stdout, stderr }; rejects with error.reason set to one of the job failureReason values
+async function runLibreOffice(args, { signal, timeoutMs = LIBREOFFICE_TIMEOUT_MS } = {}) {
+  if (signal && signal.aborted) {
+    throw cancellationError();
+  }
+  
+  // A private profile keeps concurrent runs from fighting over ~/.config/libreoffice
+  const profileDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lo-profile-'));
+  let result;
+  try {
+    const command = capabilities && capabilities.tools.libreoffice.command || 'libreoffice';
+    result = await runTool(command, [
+      `-env:UserInstallation=${pathToFileURL(profileDir).href}`, '--headless', '--norestore', ...args
+    ], {
+      signal: signal,
+      timeoutMs: timeoutMs,
+      limits: { memoryMb: LIBREOFFICE_MAX_MEMORY_MB, cpuSeconds: LIBREOFFICE_MAX_CPU_SECONDS }
+    });
+  } finally {
+    fs.rm(profileDir, { recursive: true, force: true }, () => {});
+  }
+  
+  if (result.ok) {
+    return { stdout: result.stdout, stderr: result.stderr };
+  }
+  if (result.cancelled) {
+    throw cancellationError();
+  }
+  
+  const failure = (reason, message) => {
+    const error = new Error(message);
+    error.reason = reason;
+    error.stderr = result.stderr;
+    return error;
+  };
+  if (result.error) {
+    throw failure('spawn-error', `Could not start LibreOffice: ${result.error}`);
+  }
+  if (result.timedOut) {
+    throw failure('timeout', `LibreOffice timed out after ${Math.round(timeoutMs / 1000)}s`);
+  }
+  if (result.signal === 'SIGXCPU') {
+    throw failure('cpu-limit', `LibreOffice exceeded the ${LIBREOFFICE_MAX_CPU_SECONDS}s CPU limit`);
+  }
+  if (result.signal) {
+    const memoryNote = LIBREOFFICE_MAX_MEMORY_MB > 0 ? ` (memory limit ${LIBREOFFICE_MAX_MEMORY_MB} MB)` : '';
+    throw failure('crashed', `LibreOffice was killed by ${result.signal}${memoryNote}`);
+  }
+  throw failure('exit-code', `LibreOffice exited with code ${result.code}: ${result.stderr.trim().split('\n').pop() || 'no output'}`);
+}
+
+// One-line description of a failed runTool result for logs and errors
+function describeToolFailure(result) {
+  if (result.error) {
+    return `${result.command} could not be started: ${result.error}`;
+  }
+  if (result.timedOut) {
+    return `${result.command} timed out after ${result.durationMs}ms`;
+  }
+  if (result.cancelled) {
+    return `${result.command} was cancelled`;
+  }
+  const detail = result.stderr.trim().split('\n').pop();
+  return `${result.command} ${result.signal ? `was killed by ${result.signal}` : `exited with code ${result.code}`}${detail ? `: ${detail}` : ''}`;
+}
+
+// External tools the pipeline can use, probed once for their versions. Alternative commands are
+// tried in order; poppler prints its version on stderr and older releases exit 99 for -v
+const TOOL_PROBES = [
+  { name: 'libreoffice', commands: ['libreoffice', 'soffice'], args: ['--version'], pattern: /LibreOffice\s+(\d[\w.]*)/ },
+  { name: 'pdfinfo', commands: ['pdfinfo'], args: ['-v'], pattern: /version\s+(\d[\w.]*)/ },
+  { name: 'pdftoppm', commands: ['pdftoppm'], args: ['-v'], pattern: /version\s+(\d[\w.]*)/ },
+  { name: 'pdftotext', commands: ['pdftotext'], args: ['-v'], pattern: /version\s+(\d[\w.]*)/ },
+  { name: 'imagemagick', commands: ['magick', 'convert'], args: ['-version'], pattern: /ImageMagick\s+(\d[\w.-]*)/ },
+  { name: 'ffmpeg', commands: ['ffmpeg'], args: ['-version'], pattern: /ffmpeg version\s+(\S+)/ }
+];
+
+// Filled in by detectCapabilities: { detectedAt, tools: { name: { available, command, version } }, strategies }
+let capabilities = null;
+let capabilitiesDetection = null;
+
+async function probeTool(probe) {
+  for (const command of probe.commands) {
+    const result = await runTool(command, probe.args, { timeoutMs: 30 * 1000 });
+    const versionMatch = `${result.stdout}\n${result.stderr}`.match(probe.pattern);
+    if (versionMatch) {
+      return { available: true, command: command, version: versionMatch[1] };
+    }
+  }
+  return { available: false, command: null, version: null };
+}
+
+// Conversion routes the detected tools allow, best first; placeholders always work.
+// rasterize-pdf is the route for PDF uploads, which never need LibreOffice
+function conversionStrategies(tools) {
+  const strategies = [];
+  if (tools.pdfinfo.available && tools.pdftoppm.available) {
+    strategies.push('rasterize-pdf');
+  }
+  if (tools.libreoffice.available && tools.pdfinfo.available && tools.pdftoppm.available) {
+    strategies.push('pdf');
+  }
+  if (tools.libreoffice.available) {
+    strategies.push('direct-jpg');
+  }
+  strategies.push('placeholders');
+  return strategies;
+}
+
+// Detect the toolchain once; later calls share the same result
+function detectCapabilities() {
+  if (!capabilitiesDetection) {
+    capabilitiesDetection = (async () => {
+      console.log('🔍 Detecting conversion tools...');
+      const probed = await Promise.all(TOOL_PROBES.map(probeTool));
+      const tools = {};
+      TOOL_PROBES.forEach((probe, index) => {
+        tools[probe.name] = probed[index];
+        if (probed[index].available) {
+          console.log(`✅ ${probe.name} ${probed[index].version} (${probed[index].command})`);
+        } else {
+          console.warn(`⚠️  ${probe.name} not found`);
+        }
+      });
+      
+      capabilities = {
+        detectedAt: new Date(),
+        tools: tools,
+        strategies: conversionStrategies(tools)
+      };
+      if (!tools.libreoffice.available) {
+        console.error('⚠️  WARNING: LibreOffice is not installed. Uploads will get placeholder slides!');
+      }
+      console.log(`🧰 Conversion strategies: ${capabilities.strategies.join(' -> ')}`);
+      return capabilities;
+    })();
+  }
+  return capabilitiesDetection;
+}
+
+// Resolves true if something accepts TCP connections on the local port
+function isOfficePortOpen(port, timeoutMs = 2000) {
+  return new Promise((resolve) => {
+    const socket = net.connect({ host: '127.0.0.1', port: port });
+    const done = (open) => {
+      socket.destroy();
+      resolve(open);
+    };
+    socket.setTimeout(timeoutMs, () => done(false));
+    socket.once('connect', () => done(true));
+    socket.once('error', () => done(false));
+  });
+}
+
+// Start (or restart) one pooled office instance and wait until it listens
+async function startOfficeInstance(instance) {
+  instance.state = 'starting';
+  instance.failedChecks = 0;
+  instance.profileDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lo-pool-'));
+  
+  // Same memory limit as one-off LibreOffice runs; soffice inherits it from unoserver. No CPU-time
+  // limit - it would add up over the instance's whole life - so each conversion's timeout bounds it instead
+  const [file, fileArgs] = withResourceLimits('unoserver', [
+    '--interface', '127.0.0.1',
+    '--port', String(instance.port),
+    '--uno-port', String(instance.unoPort),
+    '--user-installation', pathToFileURL(instance.profileDir).href
+  ], { memoryMb: LIBREOFFICE_MAX_MEMORY_MB });
+  const child = spawn(file, fileArgs, { detached: true, stdio: 'ignore' });
+  instance.process = child;
+  
+  // 'error' (e.g. spawn failure) may come without an 'exit', so either one ends the instance
+  const onEnd = (reason) => {
+    if (instance.process !== child) {
+      return;
+    }
+    killOfficeInstance(instance);
+    instance.process = null;
+    instance.state = 'dead';
+    if (officePoolStopping) {
+      return;
+    }
+    
+    // Back off on repeated crashes: 1s, 2s, 4s ... up to a minute
+    const delay = Math.min(60 * 1000, 1000 * Math.pow(2, instance.crashStreak));
+    instance.crashStreak++;
+    instance.restarts++;
+    console.warn(`⚠️  Office instance ${instance.index} ${reason}; restarting in ${delay}ms`);
+    setTimeout(() => startOfficeInstance(instance), delay).unref();
+  };
+  child.on('error', (err) => {
+    console.error(`❌ Office instance ${instance.index} could not start: ${err.message}`);
+    onEnd('failed');
+  });
+  child.on('exit', (code, exitSignal) => onEnd(`exited (${exitSignal || code})`));
+  
+  const deadline = Date.now() + OFFICE_POOL_START_TIMEOUT_MS;
+  while (Date.now() < deadline && instance.process === child && instance.state === 'starting') {
+    if (await isOfficePortOpen(instance.port)) {
+      instance.state = 'ready';
+      instance.lastHealthyAt = new Date();
+      instance.crashStreak = 0;
+      console.log(`✅ Office instance ${instance.index} ready on port ${instance.port}`);
+      return;
+    }
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+  
+  if (instance.process === child && instance.state === 'starting') {
+    console.error(`❌ Office instance ${instance.index} did not start listening; restarting`);
+    killOfficeInstance(instance);
+  }
+}
+
+// Kill an instance's whole process group; its exit handler restarts it
+function killOfficeInstance(instance) {
+  if (instance.process) {
+    try {
+      process.kill(-instance.process.pid, 'SIGKILL');
+    } catch (err) {
+      // Group already gone
+    }
+  }
+  if (instance.profileDir) {
+    fs.rm(instance.profileDir, { recursive: true, force: true }, () => {});
+    instance.profileDir = null;
+  }
+}
+
+// Restart idle instances that stopped answering
+async function checkOfficePoolHealth() {
+  for (const instance of officePool) {
+    if (instance.state !== 'ready') {
+      continue;
+    }
+    if (await isOfficePortOpen(instance.port)) {
+      instance.failedChecks = 0;
+      instance.lastHealthyAt = new Date();
+    } else if (++instance.failedChecks >= 2) {
+      console.warn(`⚠️  Office instance ${instance.index} failed its health check; restarting`);
+      instance.state = 'dead';
+      killOfficeInstance(instance);
+    }
+  }
+}
+
+// Start LIBREOFFICE_POOL_SIZE unoserver instances if unoserver/unoconvert are installed
+async function initOfficePool() {
+  if (LIBREOFFICE_POOL_SIZE <= 0) {
+    console.log('ℹ️  LibreOffice pool disabled - every conversion starts its own LibreOffice');
+    return;
+  }
+  
+  const [server, client] = await Promise.all([
+    runTool('which', ['unoserver'], { timeoutMs: 10 * 1000 }),
+    runTool('which', ['unoconvert'], { timeoutMs: 10 * 1000 })
+  ]);
+  if (!server.ok || !client.ok) {
+    console.warn('⚠️  unoserver/unoconvert not found - conversions will use the LibreOffice command line');
+    return;
+  }
+  
+  for (let index = 0; index < LIBREOFFICE_POOL_SIZE; index++) {
+    officePool.push({
+      index: index,
+      port: LIBREOFFICE_POOL_BASE_PORT + index * 2,
+      unoPort: LIBREOFFICE_POOL_BASE_PORT + index * 2 + 1,
+      state: 'dead',
+      busy: false,
+      restarts: 0,
+      crashStreak: 0,
+      failedChecks: 0,
+      conversions: 0,
+      lastHealthyAt: null
+    });
+  }
+  console.log(`🏊 Starting ${LIBREOFFICE_POOL_SIZE} pooled LibreOffice instances`);
+  await Promise.all(officePool.map(instance => startOfficeInstance(instance)));
+  setInterval(checkOfficePoolHealth, OFFICE_POOL_HEALTH_INTERVAL_MS).unref();
+}
+
+// Kill the pool and any tool still running; everything runs in its own process group,
+// so nothing would take these down with the server otherwise
+function stopChildProcesses() {
+  officePoolStopping = true;
+  officePool.forEach(killOfficeInstance);
+  runningToolGroups.forEach((pid) => {
+    try {
+      process.kill(-pid, 'SIGKILL');
+    } catch (err) {
+      // Group already gone
+    }
+  });
+}
+
+// Convert to PDF on a pooled instance. Resolves true on success and false when no instance is free
+// or the pooled conversion failed, so the caller can use the command line instead. Rejects like
+// runLibreOffice on timeout or cancel, since retrying a hung file would only hang again
+async function convertWithOfficePool(inputFile, outputDir, signal) {
+  const instance = officePool.find(candidate => candidate.state === 'ready' && !candidate.busy);
+  if (!instance) {
+    return false;
+  }
+  
+  instance.busy = true;
+  const outputFile = path.join(outputDir, `${path.parse(inputFile).name}.pdf`);
+  console.log(`🏊 Converting on office instance ${instance.index} (port ${instance.port})`);
+  
+  try {
+    const result = await runTool('unoconvert', [
+      '--interface', '127.0.0.1', '--port', instance.port, '--convert-to', 'pdf', inputFile, outputFile
+    ], { signal: signal, timeoutMs: LIBREOFFICE_TIMEOUT_MS });
+    instance.conversions++;
+    
+    if (result.ok && fs.existsSync(outputFile)) {
+      return true;
+    }
+    
+    // The instance may be wedged after a timeout or cancel - restart it
+    if (result.timedOut || result.cancelled) {
+      instance.state = 'dead';
+      killOfficeInstance(instance);
+    }
+    if (result.cancelled) {
+      throw cancellationError();
+    }
+    if (result.timedOut) {
+      const error = new Error(`LibreOffice timed out after ${Math.round(LIBREOFFICE_TIMEOUT_MS / 1000)}s`);
+      error.reason = 'timeout';
+      throw error;
+    }
+    
+    console.warn(`⚠️  Pooled conversion failed (${describeToolFailure(result)}); using the command line`);
+    return false;
+  } finally {
+    instance.busy = false;
+  }
+}
+
+// Pool state for the health endpoint
+function describeOfficePool() {
+  return {
+    enabled: officePool.length > 0,
+    size: officePool.length,
+    instances: officePool.map(instance => ({
+      index: instance.index,
+      port: instance.port,
+      state: instance.state,
+      busy: instance.busy,
+      conversions: instance.conversions,
+      restarts: instance.restarts,
+      lastHealthyAt: instance.lastHealthyAt
+    }))
+  };
+}
+
+// Run one conversion job through the full pipeline
+async function processConversionJob(job) {
+  const presentationId = job.presentationId;
+  const ctx = {
+    job: job,
+    presentationId: presentationId,
+    inputFile: job.inputPath,
+    originalName: job.originalName,
+    // Jobs queued before formats were recorded only have the file name to go on
+    inputFormat: job.inputFormat || path.extname(job.originalName).slice(1).toLowerCase(),
+    renderProfile: job.renderProfile || DEFAULT_RENDER_PROFILE,
+    // Later revisions get their own directory so earlier slides stay addressable
+    assetId: job.version > 1 ? `${presentationId}-v${job.version}` : presentationId
+  };
+  ctx.outputDir = path.join(__dirname, 'public', 'slides', ctx.assetId);
+  
+  const abortController = new AbortController();
+  jobAbortControllers[job.id] = abortController;
+  ctx.signal = abortController.signal;
+  
+  console.log(`🎯 Processing presentation: "${job.metadata.title}" by ${job.metadata.author}`);
+  console.log(`🏷️  Topics: [${job.metadata.topics.join(', ')}]`);
+  
+  // Initialize presentation data object
+  const presentation = {
+    id: presentationId,
+    originalName: job.originalName,
+    title: job.metadata.title,
+    summary: job.metadata.summary,
+    author: job.metadata.author,
+    authorId: job.metadata.authorId,
+    topics: job.metadata.topics,
+    inputFormat: ctx.inputFormat,
+    renderProfile: ctx.renderProfile,
+    contentHash: job.contentHash,
+    converted: new Date(),
+    viewCount: 0,
+    isDeleted: false
+  };
+  
+  try {
+    await updateJobStatus(job.id, 'converting');
+    
+    // Create output directory
+    if (!fs.existsSync(ctx.outputDir)) {
+      fs.mkdirSync(ctx.outputDir, { recursive: true });
+    }
+    
+    // Read the real slide list so fallbacks don't have to guess
+    // Image sets and Markdown decks are directories, not packages
+    ctx.sourceSlides = ['images', 'markdown'].includes(ctx.inputFormat) ? null : readSourceSlideList(ctx.inputFile);
+    if (ctx.sourceSlides) {
+      console.log(`📑 Source file has ${ctx.sourceSlides.slideCount} slides (${ctx.sourceSlides.hiddenSlides.length} hidden)`);
+    }
+    
+    // The detected toolchain decides which routes are worth trying
+    ctx.capabilities = await detectCapabilities();
+    const { strategies, tools } = ctx.capabilities;
+    let outcome = null;
+    
+    if (ctx.inputFormat === 'images') {
+      outcome = await convertImageSet(ctx);
+    } else if (ctx.inputFormat === 'markdown') {
+      outcome = await convertMarkdownDeck(ctx);
+    } else if (ctx.inputFormat === 'pdf') {
+      // Already what LibreOffice would produce - go straight to rasterizing
+      if (strategies.includes('rasterize-pdf')) {
+        outcome = await rasterizePdf(ctx, ctx.inputFile);
+      }
+      if (!outcome) {
+        outcome = await createFallbackPlaceholders(ctx, 1, {
+          status: 'fallback_placeholders',
+          message: 'The PDF could not be rasterized. Generated a placeholder slide instead.',
+          reason: strategies.includes('rasterize-pdf') ? 'PDF could not be rasterized' : 'pdfinfo and pdftoppm are not installed on the server'
+        });
+      }
+    } else {
+      if (strategies.includes('pdf')) {
+        outcome = await convertViaPdf(ctx);
+        ctx.renderedViaPdf = !!outcome;
+      }
+      
+      // A file that hung LibreOffice once will hang it again, so skip the second LibreOffice route
+      const hung = ctx.libreOfficeFailure && ['timeout', 'cpu-limit'].includes(ctx.libreOfficeFailure.reason);
+      if (!outcome && !hung && strategies.includes('direct-jpg')) {
+        outcome = await fallbackToJpgConversion(ctx);
+      }
+    }
+    
+    if (!outcome && !tools.libreoffice.available) {
+      console.log('⚠️  LibreOffice not available. Creating placeholder images...');
+      outcome = await createFallbackPlaceholders(ctx, estimateSlideCount(ctx), {
+        status: 'placeholders_created',
+        message: 'LibreOffice is not available. Generated placeholder slides instead.',
+        reason: 'LibreOffice is not installed on the server'
+      });
+    } else if (!outcome) {
+      outcome = await createFallbackPlaceholders(ctx, estimateSlideCount(ctx), {
+        status: 'fallback_placeholders',
+        message: 'Conversion failed. Generated distinct placeholder slides instead.',
+        reason: ctx.libreOfficeFailure ? ctx.libreOfficeFailure.message : 'conversion failed'
+      });
+    }
+    throwIfCancelled(ctx);
+    
+    // Update presentation with slide data BEFORE saving to database
+    presentation.slides = outcome.slides;
+    presentation.slideCount = outcome.slides.length;
+    presentation.slideTexts = outcome.slideTexts;
+    presentation.placeholderSlides = outcome.placeholderSlides;
+    presentation.slideVariants = outcome.slideVariants;
+    presentation.isPlaceholder = outcome.isPlaceholder;
+    
+    // Speaker notes come from the source package, not the rendered PDF
+    presentation.slideNotes = alignWithRenderedSlides(
+      ctx,
+      presentation.slideCount,
+      readSourceNotes(ctx.inputFile, ctx.sourceSlides),
+      ''
+    );
+    
+    // Titles, bullets, tables and alt text also come from the source package (or the Markdown)
+    presentation.slideStructure = outcome.slideStructure || alignWithRenderedSlides(
+      ctx,
+      presentation.slideCount,
+      readSourceStructure(ctx.inputFile, ctx.sourceSlides),
+      null
+    );
+    
+    // Build steps go through the same LibreOffice PDF route, so only try them when it worked for the deck
+    presentation.slideSteps = ctx.renderProfile.builds && ctx.renderedViaPdf
+      ? await renderBuildSteps(ctx, presentation.slideCount)
+      : [];
+    
+    // Embedded audio and video come from the source package whichever route rendered the slides
+    presentation.slideMedia = await extractSlideMedia(ctx, presentation.slideCount);
+    throwIfCancelled(ctx);
+    
+    // LibreOffice skips hidden slides, so compare against the visible ones
+    if (ctx.sourceSlides) {
+      const visibleSlideCount = ctx.sourceSlides.slideCount - ctx.sourceSlides.hiddenSlides.length;
+      presentation.sourceSlideCount = ctx.sourceSlides.slideCount;
+      presentation.hiddenSlides = ctx.sourceSlides.hiddenSlides;
+      presentation.slideCountMismatch = presentation.slideCount !== visibleSlideCount;
+      
+      if (presentation.slideCountMismatch) {
+        console.warn(`⚠️  Rasterized ${presentation.slideCount} slides but source has ${visibleSlideCount} visible slides`);
+      }
+    }
+    
+    await updateJobStatus(job.id, 'saving');
+    const savedPresentation = job.version
+      ? await persistPresentationRevision(presentation, job)
+      : await persistConvertedPresentation(presentation);
+    
+    const result = buildJobResult(presentation, savedPresentation);
+    if (job.version) {
+      result.version = job.version;
+      result.currentVersion = savedPresentation.currentVersion;
+    }
+    if (outcome.status) {
+      result.status = outcome.status;
+      result.message = outcome.message;
+    }
+    
+    // Keep the LibreOffice failure even when a fallback rescued the job
+    const failureReason = ctx.libreOfficeFailure ? ctx.libreOfficeFailure.reason : undefined;
+    await updateJobStatus(job.id, 'done', { result: result, failureReason: failureReason });
+  } catch (error) {
+    console.error(`❌ Conversion job ${job.id} failed: ${error.message}`);
+    await updateJobStatus(job.id, 'failed', { error: error.message, failureReason: error.reason });
+  } finally {
+    delete jobAbortControllers[job.id];
+    // Clean up the uploaded file
+    removeJobInput(ctx.inputFile);
+  }
+}
+
+// Persist a new job (when the database is up) and start tracking it in memory
+async function registerConversionJob(job) {
+  if (mongoose.connection.readyState === 1) {
+    await new ConversionJob(job).save();
+  } else {
+    console.warn(`⚠️  Database not connected - job ${job.id} will only be tracked in memory`);
+  }
+  
+  conversionJobs[job.id] = job;
+  if (job.uploadId) {
+    updateUploadProgress(job.uploadId, { jobId: job.id, presentationId: job.presentationId });
+  }
+}
+
+// Body reported as a finished job's result
+function buildJobResult(presentation, savedPresentation) {
+  return {
+    id: presentation.id,
+    originalName: presentation.originalName,
+    inputFormat: presentation.inputFormat || null,
+    title: presentation.title,
+    slideCount: presentation.slideCount,
+    slides: presentation.slides,
+    slideTexts: presentation.slideTexts,
+    slideNotes: presentation.slideNotes,
+    slideStructure: presentation.slideStructure,
+    sourceSlideCount: presentation.sourceSlideCount,
+    hiddenSlides: presentation.hiddenSlides || [],
+    placeholderSlides: presentation.placeholderSlides,
+    slideItems: savedPresentation.slideItems,
+    slideCountMismatch: presentation.slideCountMismatch || false,
+    topics: presentation.topics
+  };
+}
+
+// Finish a job by creating a new record that points at an earlier conversion's slide files
+async function reuseConvertedPresentation(job, existing) {
+  console.log(`♻️  Reusing slides of ${existing.id} for duplicate upload ${job.originalName}`);
+  
+  // Plain copies, so the new record never shares subdocuments with the cached one
+  const copy = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+  const presentation = {
+    id: job.presentationId,
+    originalName: job.originalName,
+    title: job.metadata.title,
+    summary: job.metadata.summary,
+    author: job.metadata.author,
+    authorId: job.metadata.authorId,
+    topics: job.metadata.topics,
+    renderProfile: copy(existing.renderProfile),
+    slideCount: existing.slideCount,
+    slideItems: copy(existing.slideItems),
+    slides: copy(existing.slides),
+    slideTexts: copy(existing.slideTexts),
+    slideNotes: copy(existing.slideNotes),
+    slideStructure: copy(existing.slideStructure),
+    sourceSlideCount: existing.sourceSlideCount,
+    hiddenSlides: copy(existing.hiddenSlides),
+    placeholderSlides: copy(existing.placeholderSlides),
+    slideCountMismatch: existing.slideCountMismatch,
+    isPlaceholder: existing.isPlaceholder,
+    inputFormat: job.inputFormat || existing.inputFormat,
+    contentHash: job.contentHash,
+    assetsFrom: existing.assetsFrom || existing.id,
+    converted: new Date(),
+    viewCount: 0,
+    isDeleted: false
+  };
+  
+  try {
+    await updateJobStatus(job.id, 'saving');
+    const savedPresentation = await persistConvertedPresentation(presentation);
+    
+    const result = buildJobResult(presentation, savedPresentation);
+    result.deduplicated = true;
+    result.assetsFrom = presentation.assetsFrom;
+    await updateJobStatus(job.id, 'done', { result: result });
+  } catch (error) {
+    console.error(`❌ Conversion job ${job.id} failed: ${error.message}`);
+    await updateJobStatus(job.id, 'failed', { error: error.message });
+  } finally {
+    fs.unlink(job.inputPath, (err) => {
+      if (err) console.error(`❌ Error deleting uploaded file: ${err.message}`);
+    });
+  }
+}
+
+// Fields that differ between revisions of one presentation
+const REVISION_FIELDS = [
+  'originalName', 'inputFormat', 'contentHash', 'assetsFrom', 'renderProfile', 'slideCount', 'slideItems', 'slides',
+  'slideTexts', 'slideNotes', 'slideStructure', 'sourceSlideCount', 'hiddenSlides', 'placeholderSlides',
+  'slideCountMismatch', 'isPlaceholder', 'converted'
+];
+
+// Copy the revision fields of a presentation (or of conversion output) into a revision entry
+function snapshotRevision(source, version) {
+  const revision = { version: version };
+  REVISION_FIELDS.forEach(field => {
+    if (source[field] !== undefined && source[field] !== null) {
+      revision[field] = field === 'converted' ? new Date(source[field]) : JSON.parse(JSON.stringify(source[field]));
+    }
+  });
+  return revision;
+}
+
+// Update that makes a revision current; fields the revision lacks are unset so the old version's values don't linger
+function revisionUpdate(revision, changes) {
+  const update = { $set: { ...changes } };
+  REVISION_FIELDS.forEach(field => {
+    if (revision[field] !== undefined && revision[field] !== null) {
+      update.$set[field] = revision[field];
+    } else {
+      update.$unset = { ...update.$unset, [field]: '' };
+    }
+  });
+  return update;
+}
+
+// All revisions, treating a presentation that was never revised as its own version 1
+function listRevisions(presentation) {
+  if (presentation.revisions && presentation.revisions.length > 0) {
+    return presentation.revisions;
+  }
+  return [snapshotRevision(presentation, presentation.currentVersion || 1)];
+}
+
+// The presentation as it looked at a given version, or null if there is no such revision
+function presentationAtVersion(presentation, version) {
+  const currentVersion = presentation.currentVersion || 1;
+  if (version === currentVersion) {
+    return presentation;
+  }
+  
+  const revision = (presentation.revisions || []).find(item => item.version === version);
+  if (!revision) {
+    return null;
+  }
+  
+  // Metadata, view count and history belong to the presentation, not the revision
+  const view = { ...presentation, version: version, currentVersion: currentVersion };
+  REVISION_FIELDS.forEach(field => {
+    view[field] = revision[field];
+  });
+  return view;
+}
+
+// Version number for the next upload, counting revisions that are still converting or reserved.
+// The number is reserved right away so a concurrent upload can't take it while this one is
+// still being hashed and registered; release it once the job is tracked (or failed to register)
+function reserveRevisionVersion(presentation) {
+  const versions = listRevisions(presentation).map(revision => revision.version);
+  Object.values(conversionJobs).forEach(job => {
+    if (job.presentationId === presentation.id && job.version) {
+      versions.push(job.version);
+    }
+  });
+  versions.push(...(reservedRevisionVersions[presentation.id] || []));
+  
+  const version = Math.max(presentation.currentVersion || 1, ...versions) + 1;
+  reservedRevisionVersions[presentation.id] = [...(reservedRevisionVersions[presentation.id] || []), version];
+  return version;
+}
+
+function releaseRevisionVersion(presentationId, version) {
+  const remaining = (reservedRevisionVersions[presentationId] || []).filter(item => item !== version);
+  if (remaining.length > 0) {
+    reservedRevisionVersions[presentationId] = remaining;
+  } else {
+    delete reservedRevisionVersions[presentationId];
+  }
+}
+
+// Add a converted revision to an existing presentation, optionally making it current
+async function persistPresentationRevision(revisionData, job) {
+  const presentationId = job.presentationId;
+  console.log(`💾 Saving version ${job.version} of presentation ${presentationId}...`);
+  
+  const existing = await Presentation.findOne({ id: presentationId, isDeleted: false }).lean();
+  if (!existing) {
+    throw new Error('Presentation was deleted before the new version finished converting');
+  }
+  
+  revisionData.slideItems = await buildSlideItems(revisionData);
+  const revision = snapshotRevision(revisionData, job.version);
+  const revisions = listRevisions(existing)
+    .filter(item => item.version !== job.version)
+    .concat([revision])
+    .sort((a, b) => a.version - b.version);
+  
+  const update = job.makeCurrent
+    ? revisionUpdate(revision, { revisions: revisions, currentVersion: job.version })
+    : { $set: { revisions: revisions } };
+  
+  const savedPresentation = await Presentation.findOneAndUpdate(
+    { id: presentationId, isDeleted: false },
+    update,
+    { new: true, runValidators: true }
+  ).lean();
+  if (!savedPresentation) {
+    throw new Error('Presentation was deleted before the new version finished converting');
+  }
+  
+  presentations[presentationId] = savedPresentation;
+  console.log(`✅ Saved version ${job.version} of ${presentationId} (current: ${savedPresentation.currentVersion})`);
+  return savedPresentation;
+}
+
+// Save to database, verify, then add to memory cache and topic indexes
+async function persistConvertedPresentation(presentation) {
+  console.log(`💾 Saving presentation ${presentation.id} to database with slide data...`);
+  const savedPresentation = await saveToDatabase(presentation);
+  
+  // Verify the save worked
+  const verified = await verifyDatabaseSave(presentation.id);
+  if (!verified) {
+    throw new Error('Database verification failed');
+  }
+  
+  // Add to memory cache only after successful database save
+  presentations[presentation.id] = savedPresentation;
+  
+  // Add presentation to topic indexes
+  presentation.topics.forEach(topic => {
+    topic = topic.toLowerCase();
+    if (!presentationsByTopic[topic]) {
+      presentationsByTopic[topic] = [];
+    }
+    if (!presentationsByTopic[topic].includes(presentation.id)) {
+      presentationsByTopic[topic].push(presentation.id);
+    }
+  });
+  
+  console.log(`✅ Successfully saved and verified presentation ${presentation.id} with ${presentation.slideCount} slides`);
+  return savedPresentation;
+}
+
+// Convert an office document to <name>.pdf in outputDir
+async function convertOfficeToPdf(inputFile, outputDir, signal) {
+  // Prefer a warm pooled instance; the command line pays LibreOffice's startup every time
+  if (await convertWithOfficePool(inputFile, outputDir, signal)) {
+    console.log('✅ PDF conversion finished on the LibreOffice pool');
+  } else {
+    const { stdout } = await runLibreOffice(['--convert-to', 'pdf', '--outdir', outputDir, inputFile], { signal: signal });
+    console.log(`✅ PDF conversion output: ${stdout}`);
+  }
+}
+
+// Convert to PDF first, which preserves all slides; returns null to request the JPG fallback
+async function convertViaPdf(ctx) {
+  const { inputFile, outputDir } = ctx;
+  
+  console.log(`🔄 Converting PowerPoint to JPG images in ${outputDir}`);
+  
+  console.log(`🔄 Executing PDF conversion of ${inputFile}`);
+  
+  try {
+    await convertOfficeToPdf(inputFile, outputDir, ctx.signal);
+  } catch (error) {
+    if (error.reason === 'cancelled') {
+      throw error;
+    }
+    console.error(`❌ PDF conversion error: ${error.message}`);
+    ctx.libreOfficeFailure = { reason: error.reason, message: error.message };
+    return null;
+  }
+  
+  // Find PDF files
+  let pdfFiles;
+  try {
+    pdfFiles = fs.readdirSync(outputDir).filter(file => file.endsWith('.pdf'));
+  } catch (err) {
+    console.error(`❌ Error reading output directory: ${err.message}`);
+    return null;
+  }
+  
+  if (pdfFiles.length === 0) {
+    console.log('⚠️  No PDF files were generated. Falling back to JPG conversion...');
+    return null;
+  }
+  
+  const pdfPath = path.join(outputDir, pdfFiles[0]);
+  try {
+    return await rasterizePdf(ctx, pdfPath);
+  } finally {
+    fs.rmSync(pdfPath, { force: true });
+  }
+}
+
+// Render one PDF page to slide-<slideNumber>.jpg (or <fileBase>.jpg) with the job's DPI and quality.
+// Returns 'converted', or 'missing'/'error' after writing a placeholder in its place
+async function rasterizePdfPage(ctx, pdfPath, pageNum, slideNumber, fileBase = `slide-${slideNumber}`) {
+  const { outputDir, originalName } = ctx;
+  const tempDir = path.join(outputDir, 'temp');
+  const outputPrefix = path.join(tempDir, fileBase);
+  const finalFile = path.join(outputDir, `${fileBase}.jpg`);
+  const convertArgs = [
+    '-jpeg', '-jpegopt', `quality=${ctx.renderProfile.quality}`, '-r', ctx.renderProfile.dpi,
+    '-f', pageNum, '-l', pageNum, '-singlefile', pdfPath, outputPrefix
+  ];
+  
+  console.log(`🖼️  Converting page ${pageNum}: pdftoppm ${convertArgs.join(' ')}`);
+  
+  try {
+    fs.mkdirSync(tempDir, { recursive: true });
+    const rasterized = await runTool('pdftoppm', convertArgs, { signal: ctx.signal });
+    throwIfCancelled(ctx);
+    if (!rasterized.ok) {
+      throw new Error(describeToolFailure(rasterized));
+    }
+    
+    // Find the generated image
+    const tempFile = `${outputPrefix}.jpg`;
+    if (fs.existsSync(tempFile)) {
+      // Copy to final location
+      fs.copyFileSync(tempFile, finalFile);
+      console.log(`✅ Successfully created slide ${slideNumber} image`);
+      return 'converted';
+    }
+    console.error(`❌ Failed to create slide ${slideNumber} - file not found: ${tempFile}`);
+    await createDistinctPlaceholder(finalFile, slideNumber, `Page ${slideNumber} of ${originalName}`, 'page image was not produced');
+    return 'missing';
+  } catch (extractError) {
+    if (extractError.reason === 'cancelled') {
+      throw extractError;
+    }
+    console.error(`❌ Error extracting slide ${slideNumber}: ${extractError.message}`);
+    await createDistinctPlaceholder(finalFile, slideNumber, `Page ${slideNumber} of ${originalName}`, 'page could not be rasterized');
+    return 'error';
+  }
+}
+
+// Render each page of a PDF to a slide image and extract its text; returns null when the PDF has no pages
+async function rasterizePdf(ctx, pdfPath) {
+  const { job, assetId, outputDir } = ctx;
+  const tempDir = path.join(outputDir, 'temp');
+  
+  try {
+    // Get PDF info including page count
+    const pdfInfo = await runTool('pdfinfo', [pdfPath], { signal: ctx.signal });
+    if (!pdfInfo.ok) {
+      console.error(`❌ ${describeToolFailure(pdfInfo)}`);
+    }
+    const pageCountMatch = pdfInfo.stdout.match(/^Pages:\s+(\d+)/m);
+    const pageCount = pageCountMatch ? parseInt(pageCountMatch[1]) : 0;
+    
+    console.log(`📄 PDF has ${pageCount} pages`);
+    
+    if (pageCount === 0) {
+      console.log('⚠️  PDF has no pages');
+      return null;
+    }
+    
+    await updateJobStatus(job.id, 'rasterizing');
+    
+    const renamedImageUrls = [];
+    const pageStates = [];
+    
+    console.log(`🔄 Starting slide extraction for ${pageCount} pages`);
+    
+    // Use pdftoppm to convert PDF pages to images
+    for (let pageNum = 1; pageNum <= pageCount; pageNum++) {
+      throwIfCancelled(ctx);
+      reportSlideProgress(job, pageNum, pageCount);
+      pageStates.push(await rasterizePdfPage(ctx, pdfPath, pageNum, pageNum));
+      renamedImageUrls.push(`/slides/${assetId}/slide-${pageNum}.jpg`);
+    }
+    
+    const slideVariants = await renderSlideVariants(ctx, renamedImageUrls);
+    
+    await updateJobStatus(job.id, 'extracting-text');
+    
+    // Extract text from each successfully rasterized page
+    const slideTexts = [];
+    for (let pageNum = 1; pageNum <= pageCount; pageNum++) {
+      const pageState = pageStates[pageNum - 1];
+      reportSlideProgress(job, pageNum, pageCount);
+      
+      if (pageState === 'missing') {
+        slideTexts.push(`Slide ${pageNum} (Placeholder)`);
+        continue;
+      }
+      if (pageState === 'error') {
+        slideTexts.push(`Slide ${pageNum} (Error Placeholder)`);
+        continue;
+      }
+      if (!ctx.capabilities.tools.pdftotext.available) {
+        slideTexts.push(`Slide ${pageNum}`);
+        continue;
+      }
+      
+      try {
+        console.log(`📝 Attempting text extraction for page ${pageNum}`);
+        const extracted = await runTool('pdftotext', ['-f', pageNum, '-l', pageNum, pdfPath, '-'], { signal: ctx.signal });
+        throwIfCancelled(ctx);
+        if (!extracted.ok) {
+          throw new Error(describeToolFailure(extracted));
+        }
+        const pageText = extracted.stdout.trim();
+        console.log(`✅ Extracted ${pageText.length} characters from page ${pageNum}`);
+        slideTexts.push(pageText || `Slide ${pageNum}`);
+      } catch (textError) {
+        if (textError.reason === 'cancelled') {
+          throw textError;
+        }
+        console.error(`❌ Text extraction failed for page ${pageNum}: ${textError.message}`);
+        slideTexts.push(`Slide ${pageNum}`);
+      }
+    }
+    
+    console.log(`🎯 Slide extraction complete: ${renamedImageUrls.length} slides created`);
+    console.log(`🔗 Sample slide URLs:`, renamedImageUrls.slice(0, 3));
+    
+    return {
+      slides: renamedImageUrls,
+      slideTexts: slideTexts,
+      slideVariants: slideVariants,
+      placeholderSlides: pageStates
+        .map((pageState, index) => pageState === 'converted' ? null : index + 1)
+        .filter(slideNumber => slideNumber !== null),
+      isPlaceholder: false
+    };
+  } catch (pdfError) {
+    if (pdfError.reason === 'cancelled') {
+      throw pdfError;
+    }
+    console.error(`❌ Error processing PDF: ${pdfError.message}`);
+    return null;
+  } finally {
+    // Clean up temporary files
+    try {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    } catch (cleanupError) {
+      console.error(`❌ Error cleaning up temp files: ${cleanupError.message}`);
+    }
+  }
+}
+
+// Upper bound on build step images per conversion, so a deck full of builds can't multiply the render work
+const MAX_BUILD_STEP_IMAGES = parseInt(process.env.MAX_BUILD_STEP_IMAGES, 10) || 500;
+
+// Render the animation build steps of the source slides to slide-<N>-step-<K>.jpg. Returns one
+// [{ step, imageUrl }] list per rendered slide - empty for slides without builds or whose steps failed
+async function renderBuildSteps(ctx, renderedCount) {
+  const { job, assetId, inputFile, outputDir } = ctx;
+  const noSteps = () => Array.from({ length: renderedCount }, () => []);
+  
+  const slideSteps = alignWithRenderedSlides(ctx, renderedCount, readSourceBuildSteps(inputFile, ctx.sourceSlides), []);
+  const stepSlides = [];
+  slideSteps.forEach((steps, index) => steps.forEach((stepSlide, step) => {
+    stepSlides.push({ ...stepSlide, slideNumber: index + 1, step: step });
+  }));
+  
+  if (stepSlides.length === 0) {
+    return noSteps();
+  }
+  if (stepSlides.length > MAX_BUILD_STEP_IMAGES) {
+    console.warn(`⚠️  ${stepSlides.length} build steps exceed the limit of ${MAX_BUILD_STEP_IMAGES} - skipping build steps`);
+    return noSteps();
+  }
+  
+  console.log(`🎬 Rendering ${stepSlides.length} build steps for ${slideSteps.filter(steps => steps.length > 0).length} slides`);
+  
+  const stepsDir = path.join(outputDir, 'build-steps');
+  const deckPath = path.join(stepsDir, 'steps.pptx');
+  const pdfPath = path.join(stepsDir, 'steps.pdf');
+  try {
+    fs.mkdirSync(stepsDir, { recursive: true });
+    writeBuildStepsDeck(inputFile, stepSlides, deckPath);
+    await convertOfficeToPdf(deckPath, stepsDir, ctx.signal);
+    
+    // Pages are matched to steps by position, so any difference would mislabel them
+    const pdfInfo = await runTool('pdfinfo', [pdfPath], { signal: ctx.signal });
+    const pageCountMatch = pdfInfo.stdout.match(/^Pages:\s+(\d+)/m);
+    const pageCount = pageCountMatch ? parseInt(pageCountMatch[1]) : 0;
+    if (pageCount !== stepSlides.length) {
+      console.warn(`⚠️  Build steps rendered to ${pageCount} pages instead of ${stepSlides.length} - skipping build steps`);
+      return noSteps();
+    }
+    
+    const results = noSteps();
+    const failedSlides = new Set();
+    for (let index = 0; index < stepSlides.length; index++) {
+      throwIfCancelled(ctx);
+      if (job.uploadId) {
+        updateUploadProgress(job.uploadId, { message: `build step ${index + 1} of ${stepSlides.length}` });
+      }
+      
+      const { slideNumber, step } = stepSlides[index];
+      const fileBase = `slide-${slideNumber}-step-${step}`;
+      const pageState = await rasterizePdfPage(ctx, pdfPath, index + 1, slideNumber, fileBase);
+      if (pageState !== 'converted') {
+        failedSlides.add(slideNumber);
+      }
+      results[slideNumber - 1].push({ step: step, imageUrl: `/slides/${assetId}/${fileBase}.jpg` });
+    }
+    
+    // A slide missing one of its steps can't be stepped through, so it only keeps its final image
+    failedSlides.forEach(slideNumber => {
+      results[slideNumber - 1].forEach(step => fs.rmSync(slideUrlToPath(step.imageUrl), { force: true }));
+      results[slideNumber - 1] = [];
+    });
+    return results;
+  } catch (error) {
+    if (error.reason === 'cancelled') {
+      throw error;
+    }
+    console.error(`❌ Build steps could not be rendered: ${error.message}`);
+    return noSteps();
+  } finally {
+    fs.rmSync(stepsDir, { recursive: true, force: true });
+    fs.rmSync(path.join(outputDir, 'temp'), { recursive: true, force: true });
+  }
+}
+
+// Formats the viewer plays as-is; others are transcoded to MP4 (video) or M4A (audio) when ffmpeg is installed
+const PLAYABLE_MEDIA_EXTENSIONS = { video: ['mp4', 'm4v', 'webm'], audio: ['mp3', 'm4a', 'aac', 'wav', 'ogg'] };
+const MEDIA_TRANSCODE_TIMEOUT_MS = parseInt(process.env.MEDIA_TRANSCODE_TIMEOUT_MS, 10) || 10 * 60 * 1000;
+
+// Length of a media file in seconds from ffmpeg's input summary, or null
+async function readMediaDuration(ctx, filePath) {
+  const ffmpeg = ctx.capabilities.tools.ffmpeg;
+  if (!ffmpeg.available) {
+    return null;
+  }
+  // Without an output ffmpeg exits with an error, but only after describing the input
+  const probed = await runTool(ffmpeg.command, ['-hide_banner', '-i', filePath], { signal: ctx.signal });
+  throwIfCancelled(ctx);
+  const durationMatch = probed.stderr.match(/Duration:\s+(\d+):(\d+):(\d+(?:\.\d+)?)/);
+  return durationMatch
+    ? Math.round((parseInt(durationMatch[1]) * 3600 + parseInt(durationMatch[2]) * 60 + parseFloat(durationMatch[3])) * 100) / 100
+    : null;
+}
+
+// Write one media part to media-<number>.<ext> next to the slide images, transcoding it when the viewer can't
+// play its format. Returns { url, format, duration, playable }, or null when the part can't be read
+async function storeMediaPart(ctx, zip, reference, number) {
+  const { assetId, outputDir } = ctx;
+  const ffmpeg = ctx.capabilities.tools.ffmpeg;
+  const sourceFormat = path.posix.extname(reference.partPath).slice(1).toLowerCase() || 'bin';
+  let fileName = `media-${number}.${sourceFormat}`;
+  let format = sourceFormat;
+  let playable = PLAYABLE_MEDIA_EXTENSIONS[reference.type].includes(sourceFormat);
+  
+  try {
+    fs.writeFileSync(path.join(outputDir, fileName), zip.getEntry(reference.partPath).getData());
+  } catch (error) {
+    console.error(`❌ Could not extract ${reference.partPath}: ${error.message}`);
+    return null;
+  }
+  
+  if (!playable && ffmpeg.available) {
+    const targetFormat = reference.type === 'video' ? 'mp4' : 'm4a';
+    const targetName = `media-${number}.${targetFormat}`;
+    const codecArgs = reference.type === 'video'
+      ? ['-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-c:a', 'aac', '-movflags', '+faststart']
+      : ['-vn', '-c:a', 'aac'];
+    
+    console.log(`🎞️  Transcoding ${reference.partPath} to ${targetFormat}`);
+    const transcoded = await runTool(ffmpeg.command, [
+      '-hide_banner', '-y', '-i', path.join(outputDir, fileName), ...codecArgs, path.join(outputDir, targetName)
+    ], { signal: ctx.signal, timeoutMs: MEDIA_TRANSCODE_TIMEOUT_MS });
+    throwIfCancelled(ctx);
+    
+    if (transcoded.ok && fs.existsSync(path.join(outputDir, targetName))) {
+      fs.rmSync(path.join(outputDir, fileName), { force: true });
+      fileName = targetName;
+      format = targetFormat;
+      playable = true;
+    } else {
+      console.error(`❌ Could not transcode ${reference.partPath}: ${describeToolFailure(transcoded)}`);
+      fs.rmSync(path.join(outputDir, targetName), { force: true });
+    }
+  }
+  
+  return {
+    url: `/slides/${assetId}/${fileName}`,
+    format: format,
+    duration: await readMediaDuration(ctx, path.join(outputDir, fileName)),
+    playable: playable
+  };
+}
+
+// Extract the audio and video of the rendered slides. Returns one
+// [{ type, url, format, duration, position, playable }] list per rendered slide
+async function extractSlideMedia(ctx, renderedCount) {
+  const slideReferences = alignWithRenderedSlides(ctx, renderedCount, readSourceMediaReferences(ctx.inputFile, ctx.sourceSlides), []);
+  if (slideReferences.every(references => references.length === 0)) {
+    return slideReferences;
+  }
+  
+  try {
+    const zip = new AdmZip(ctx.inputFile);
+    
+    // A media part shown on several slides is checked and stored once...
+    const stored = {};
+    for (const reference of slideReferences.flat()) {
+      throwIfCancelled(ctx);
+      if (!(reference.partPath in stored)) {
+        stored[reference.partPath] = await storeMediaPart(ctx, zip, reference, Object.keys(stored).length + 1);
+      }
+    }
+    
+    // ...but every slide that shows it gets its own entry, with its own type and position
+    const slideMedia = slideReferences.map(references => references
+      .filter(reference => stored[reference.partPath])
+      .map(reference => {
+        const file = stored[reference.partPath];
+        return {
+          type: reference.type,
+          url: file.url,
+          format: file.format,
+          duration: file.duration,
+          position: reference.position,
+          playable: file.playable
+        };
+      }));
+    
+    const usedParts = Object.values(stored).filter(Boolean).length;
+    console.log(`🎬 Extracted ${usedParts} media files for ${slideMedia.filter(media => media.length > 0).length} slides`);
+    return slideMedia;
+  } catch (error) {
+    if (error.reason === 'cancelled') {
+      throw error;
+    }
+    console.error(`❌ Slide media could not be extracted: ${error.message}`);
+    return Array.from({ length: renderedCount }, () => []);
+  }
+}
+
+// Fallback function for JPG conversion if PDF route fails; returns null to request placeholders
+async function fallbackToJpgConversion(ctx) {
+  const { assetId, inputFile, outputDir, originalName } = ctx;
+  
+  console.log('🔄 Falling back to direct JPG conversion...');
+  
+  // Use LibreOffice to convert PowerPoint to JPG
+  console.log(`🔄 Executing fallback JPG conversion of ${inputFile}`);
+  
+  try {
+    const { stdout } = await runLibreOffice(['--convert-to', 'jpg:draw_jpg_Export', '--outdir', outputDir, inputFile], { signal: ctx.signal });
+    console.log(`✅ Conversion output: ${stdout}`);
+  } catch (error) {
+    if (error.reason === 'cancelled') {
+      throw error;
+    }
+    console.error(`❌ Conversion error: ${error.message}`);
+    ctx.libreOfficeFailure = { reason: error.reason, message: error.message };
+    return null;
+  }
+  
+  // Get the generated images
+  let imageFiles;
+  try {
+    imageFiles = fs.readdirSync(outputDir).filter(file => file.endsWith('.jpg'));
+  } catch (err) {
+    console.error(`❌ Error reading output directory: ${err.message}`);
+    return null;
+  }
+  console.log(`📸 Found ${imageFiles.length} jpg files`);
+  
+  // If no images were generated, create placeholders
+  if (imageFiles.length === 0) {
+    console.log('⚠️  No images were generated. Creating placeholders...');
+    return null;
+  }
+  
+  await updateJobStatus(ctx.job.id, 'rasterizing');
+  
+  // Rename files to match expected format (slide-1.jpg, slide-2.jpg, etc.)
+  console.log(`🔄 Renaming ${imageFiles.length} slide images to standard format`);
+  const renamedImageUrls = [];
+  const slideTexts = [];
+  const placeholderSlides = [];
+  
+  imageFiles.forEach((file, index) => {
+    const oldPath = path.join(outputDir, file);
+    const newFileName = `slide-${index+1}.jpg`;
+    const newPath = path.join(outputDir, newFileName);
+    
+    try {
+      // Rename the file
+      fs.renameSync(oldPath, newPath);
+      renamedImageUrls.push(`/slides/${assetId}/${newFileName}`);
+      slideTexts.push(`Slide ${index+1}`);
+    } catch (error) {
+      console.error(`❌ Error renaming file ${file}: ${error.message}`);
+      // Use the original file as fallback
+      renamedImageUrls.push(`/slides/${assetId}/${file}`);
+      slideTexts.push(`Slide ${index+1}`);
+    }
+  });
+  
+  // Add distinct placeholders for multi-slide presentations
+  // if only one slide was converted
+  const estimatedSlideCount = estimateSlideCount(ctx);
+  if (imageFiles.length === 1 && estimatedSlideCount > 1) {
+    console.log(`⚠️  Only one slide converted. Creating distinct placeholders up to ${estimatedSlideCount} slides...`);
+    
+    // First slide already exists
+    // Create remaining slides as distinct placeholders
+    for (let i = 1; i < estimatedSlideCount; i++) {
+      const slideNumber = i + 1;
+      const newFileName = `slide-${slideNumber}.jpg`;
+      const newPath = path.join(outputDir, newFileName);
+      
+      try {
+        // Create a distinct placeholder for this slide
+        await createDistinctPlaceholder(newPath, slideNumber, originalName, 'only the first slide could be converted');
+        renamedImageUrls.push(`/slides/${assetId}/${newFileName}`);
+        slideTexts.push(`Slide ${slideNumber} (Placeholder)`);
+        placeholderSlides.push(slideNumber);
+      } catch (error) {
+        console.error(`❌ Error creating slide ${slideNumber}: ${error.message}`);
+      }
+    }
+  }
+  
+  return {
+    slides: renamedImageUrls,
+    slideTexts: slideTexts,
+    slideVariants: await renderSlideVariants(ctx, renamedImageUrls),
+    placeholderSlides: placeholderSlides,
+    isPlaceholder: false
+  };
+}
+
+// Normalize an uploaded image set (a directory of images named in slide order) into slide-N.jpg files
+async function convertImageSet(ctx) {
+  const { job, assetId, inputFile, outputDir } = ctx;
+  const imageFiles = fs.readdirSync(inputFile).sort();
+  const captions = job.captions || [];
+  
+  await updateJobStatus(job.id, 'rasterizing');
+  console.log(`🖼️  Normalizing ${imageFiles.length} uploaded images`);
+  
+  const slideUrls = [];
+  const slideTexts = [];
+  const placeholderSlides = [];
+  
+  for (let index = 0; index < imageFiles.length; index++) {
+    throwIfCancelled(ctx);
+    const slideNumber = index + 1;
+    const finalFile = path.join(outputDir, `slide-${slideNumber}.jpg`);
+    reportSlideProgress(job, slideNumber, imageFiles.length);
+    
+    try {
+      // Apply EXIF rotation and put transparent PNGs on white, since JPEG has no alpha
+      await sharp(path.join(inputFile, imageFiles[index]))
+        .rotate()
+        .flatten({ background: '#ffffff' })
+        .jpeg({ quality: ctx.renderProfile.quality })
+        .toFile(finalFile);
+    } catch (imageError) {
+      console.error(`❌ Could not decode image for slide ${slideNumber}: ${imageError.message}`);
+      await createDistinctPlaceholder(finalFile, slideNumber, captions[index] || job.originalName, 'image could not be decoded');
+      placeholderSlides.push(slideNumber);
+    }
+    
+    slideUrls.push(`/slides/${assetId}/slide-${slideNumber}.jpg`);
+    slideTexts.push(captions[index] || `Slide ${slideNumber}`);
+  }
+  
+  return {
+    slides: slideUrls,
+    slideTexts: slideTexts,
+    slideVariants: await renderSlideVariants(ctx, slideUrls),
+    placeholderSlides: placeholderSlides,
+    isPlaceholder: false
+  };
+}
+
+// Markdown decks: slide size is 16:9 (10in x 5.625in) and images are scaled to fit below a heading
+const MARKDOWN_SLIDE_CSS = [
+  '@page { size: 254mm 142.9mm; margin: 12mm; }',
+  'body { font-family: "Liberation Sans", Arial, sans-serif; font-size: 20pt; }',
+  'h1 { font-size: 34pt; }',
+  'h2 { font-size: 28pt; }',
+  'h3 { font-size: 24pt; }',
+  'pre, code { font-family: "Liberation Mono", "Courier New", monospace; }',
+  'pre { font-size: 14pt; background: #f3f3f3; }'
+].join('\n');
+const MARKDOWN_IMAGE_MAX_WIDTH = 860;
+const MARKDOWN_IMAGE_MAX_HEIGHT = 360;
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Split Markdown into per-slide sources at lines of three or more dashes outside fenced code.
+// Blank lines around each slide are dropped, and so are slides with no content
+function splitMarkdownSlides(markdown) {
+  const slides = [];
+  let current = [];
+  let fence = null;
+  
+  markdown.replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+    if (!fence && /^ {0,3}-{3,}\s*$/.test(line)) {
+      slides.push(current.join('\n'));
+      current = [];
+      return;
+    }
+    const fenceMatch = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+    if (fenceMatch && !fence) {
+      fence = fenceMatch[1];
+    } else if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+      fence = null;
+    }
+    current.push(line);
+  });
+  slides.push(current.join('\n'));
+  
+  return slides
+    .map(source => source.replace(/^\s*\n/, '').replace(/\n\s*$/, ''))
+    .filter(source => source.trim() !== '');
+}
+
+// Markdown inline markup removed, for titles and bullet text
+function stripMarkdownInline(text) {
+  return text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/\*(.+?)\*/g, '$1')
+    .replace(/(^|\W)_(.+?)_(?=\W|$)/g, '$1$2')
+    .trim();
+}
+
+// Inline Markdown to HTML: code spans, images, links, bold and italics.
+// resolveImage(src, alt) returns the HTML for an image reference
+function renderMarkdownInline(text, resolveImage) {
+  // Pull out spans whose contents must not be formatted, then escape what's left
+  const tokens = [];
+  const hold = html => `\u0000${tokens.push(html) - 1}\u0000`;
+  let html = text
+    .replace(/`([^`]+)`/g, (match, code) => hold(`<code>${escapeHtml(code)}</code>`))
+    .replace(/!\[([^\]]*)\]\(\s*([^)]+?)(?:\s+"[^"]*")?\s*\)/g, (match, alt, src) => hold(resolveImage(src, alt)))
+    .replace(/\[([^\]]+)\]\(\s*([^)]+?)(?:\s+"[^"]*")?\s*\)/g, (match, label, href) =>
+      hold(`<a href="${escapeHtml(href)}">${renderMarkdownInline(label, resolveImage)}</a>`));
+  
+  html = escapeHtml(html)
+    .replace(/(\*\*|__)(.+?)\1/g, '<strong>$2</strong>')
+    .replace(/\*(.+?)\*/g, '<em>$1</em>')
+    .replace(/(^|\W)_(.+?)_(?=\W|$)/g, '$1<em>$2</em>');
+  
+  return html.replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[index]);
+}
+
+// One slide's Markdown to an HTML body plus the same { title, bullets, tables, images } structure
+// parsed from .pptx slides. Handles headings, nested lists, fenced code, block quotes and paragraphs
+function parseMarkdownSlide(source, resolveImage) {
+  const html = [];
+  const structure = { title: null, bullets: [], tables: [], images: [] };
+  const bulletItems = [];
+  const lists = []; // Open lists, innermost last: { tag, indent }
+  let paragraph = [];
+  let fence = null;
+  let code = [];
+  
+  const inline = text => renderMarkdownInline(text, (src, alt) => {
+    structure.images.push({ name: src, altText: alt });
+    return resolveImage(src, alt);
+  });
+  const closeParagraph = () => {
+    if (paragraph.length > 0) {
+      html.push(`<p>${inline(paragraph.join(' '))}</p>`);
+      paragraph = [];
+    }
+  };
+  const closeLists = (indent) => {
+    while (lists.length > 0 && lists[lists.length - 1].indent > indent) {
+      html.push(`</li></${lists.pop().tag}>`);
+    }
+  };
+  const closeBlocks = () => {
+    closeParagraph();
+    closeLists(-1);
+  };
+  
+  source.split('\n').forEach(line => {
+    if (fence) {
+      const closing = line.match(/^\s{0,3}(`{3,}|~{3,})\s*$/);
+      if (closing && closing[1][0] === fence[0] && closing[1].length >= fence.length) {
+        html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+        fence = null;
+        code = [];
+      } else {
+        code.push(line);
+      }
+      return;
+    }
+    
+    const fenceMatch = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      closeBlocks();
+      fence = fenceMatch[1];
+      return;
+    }
+    if (line.trim() === '') {
+      closeBlocks();
+      return;
+    }
+    
+    const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/);
+    if (heading) {
+      closeBlocks();
+      const level = heading[1].length;
+      html.push(`<h${level}>${inline(heading[2])}</h${level}>`);
+      if (structure.title === null) {
+        structure.title = stripMarkdownInline(heading[2]);
+      }
+      return;
+    }
+    
+    const item = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+    if (item) {
+      closeParagraph();
+      const indent = item[1].replace(/\t/g, '    ').length;
+      const tag = /\d/.test(item[2]) ? 'ol' : 'ul';
+      closeLists(indent);
+      
+      const current = lists[lists.length - 1];
+      if (current && current.indent === indent && current.tag === tag) {
+        html.push('</li><li>');
+      } else {
+        if (current && current.indent === indent) {
+          html.push(`</li></${lists.pop().tag}>`);
+        }
+        html.push(`<${tag}><li>`);
+        lists.push({ tag: tag, indent: indent });
+      }
+      html.push(inline(item[3]));
+      bulletItems.push({ text: stripMarkdownInline(item[3]), level: lists.length - 1 });
+      return;
+    }
+    
+    const quote = line.match(/^\s{0,3}>\s?(.*)$/);
+    if (quote) {
+      closeBlocks();
+      html.push(`<blockquote><p>${inline(quote[1])}</p></blockquote>`);
+      return;
+    }
+    
+    // Indented text under a list item continues that item
+    if (lists.length > 0 && /^\s/.test(line)) {
+      html.push(` ${inline(line.trim())}`);
+      bulletItems[bulletItems.length - 1].text += ` ${stripMarkdownInline(line)}`;
+      return;
+    }
+    
+    closeLists(-1);
+    paragraph.push(line.trim());
+  });
+  
+  // An unterminated fence runs to the end of the slide
+  if (fence) {
+    html.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+  }
+  closeBlocks();
+  
+  structure.bullets = buildBulletTree(bulletItems);
+  return { html: html.join('\n'), structure: structure };
+}
+
+function markdownSlideDocument(bodyHtml) {
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta http-equiv="Content-Type" content="text/html; charset=utf-8">',
+    `<style>\n${MARKDOWN_SLIDE_CSS}\n</style>`,
+    '</head>',
+    `<body>\n${bodyHtml}\n</body>`,
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+// Safe file name for a Markdown image, used in the stored asset's name
+function markdownAssetName(reference) {
+  return path.posix.basename(markdownAssetPath(reference))
+    .replace(/[^a-z0-9._-]/g, '_')
+    .replace(/^\./, '_');
+}
+
+// Lower-cased path of an uploaded image or an image reference, without URL scheme and host, query,
+// ./ or ../ parts and with forward slashes: ![](./img/Diagram.png) and img\diagram.png both give img/diagram.png
+function markdownAssetPath(reference) {
+  let name = reference.split(/[?#]/)[0];
+  try {
+    name = decodeURIComponent(name);
+  } catch (error) {
+    // Keep the name as written
+  }
+  return name.replace(/\\/g, '/')
+    .replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]*/i, '')
+    .split('/')
+    .filter(part => part && part !== '.' && part !== '..')
+    .join('/')
+    .toLowerCase();
+}
+
+// The uploaded image an image reference means: the same path, else one with the same file name - preferring
+// one whose folders match - so ![](diagram.png) and ![](https://example.com/img/diagram.png) find img/diagram.png
+function findMarkdownAsset(assets, reference) {
+  const wanted = markdownAssetPath(reference);
+  const exact = assets.find(asset => asset.path === wanted);
+  if (exact) {
+    return exact;
+  }
+  const sameName = assets.filter(asset => path.posix.basename(asset.path) === path.posix.basename(wanted));
+  return sameName.find(asset => wanted.endsWith(`/${asset.path}`) || asset.path.endsWith(`/${wanted}`)) ||
+    sameName[0] || null;
+}
+
+// Render a Markdown deck (a directory with slides.md and assets/) through HTML and PDF.
+// Each slide is its own HTML file so a slide that overflows can't shift the ones after it
+async function convertMarkdownDeck(ctx) {
+  const { job, assetId, inputFile, outputDir } = ctx;
+  const sources = splitMarkdownSlides(fs.readFileSync(path.join(inputFile, 'slides.md'), 'utf8'));
+  const assetsDir = path.join(inputFile, 'assets');
+  
+  // assets.json maps each stored file to the path it was uploaded under; decks queued before it existed
+  // stored files under their plain names
+  const manifestPath = path.join(inputFile, 'assets.json');
+  const storedAssets = fs.existsSync(manifestPath)
+    ? JSON.parse(fs.readFileSync(manifestPath, 'utf8'))
+    : (fs.existsSync(assetsDir) ? fs.readdirSync(assetsDir) : []).map(fileName => ({ fileName: fileName, path: fileName }));
+  
+  // Give LibreOffice explicit image sizes that fit the slide
+  const assets = [];
+  for (const asset of storedAssets) {
+    try {
+      const { width, height } = await sharp(path.join(assetsDir, asset.fileName)).metadata();
+      const scale = Math.min(1, MARKDOWN_IMAGE_MAX_WIDTH / width, MARKDOWN_IMAGE_MAX_HEIGHT / height);
+      assets.push({ ...asset, width: Math.round(width * scale), height: Math.round(height * scale) });
+    } catch (error) {
+      console.error(`❌ Could not read Markdown image ${asset.path}: ${error.message}`);
+    }
+  }
+  
+  const slides = sources.map((source, index) => parseMarkdownSlide(source, (src, alt) => {
+    const asset = findMarkdownAsset(assets, src);
+    if (!asset) {
+      console.warn(`⚠️  Slide ${index + 1} references ${src}, which was not uploaded`);
+      return `<em>[${escapeHtml(alt || src)}]</em>`;
+    }
+    return `<img src="assets/${asset.fileName}" alt="${escapeHtml(alt)}" width="${asset.width}" height="${asset.height}">`;
+  }));
+  
+  // The Markdown is the slides' text however their images end up being made
+  const withMarkdownText = outcome => ({
+    ...outcome,
+    slideTexts: sources,
+    slideStructure: slides.map(slide => slide.structure)
+  });
+  
+  const { tools } = ctx.capabilities;
+  if (!tools.libreoffice.available || !tools.pdftoppm.available) {
+    console.log('⚠️  LibreOffice or pdftoppm not available. Creating placeholder images...');
+    return withMarkdownText(await createFallbackPlaceholders(ctx, sources.length, {
+      status: 'placeholders_created',
+      message: 'Rendering Markdown needs LibreOffice and pdftoppm. Generated placeholder slides instead.',
+      reason: 'LibreOffice or pdftoppm is not installed on the server'
+    }));
+  }
+  
+  const htmlFiles = slides.map((slide, index) => {
+    const htmlFile = path.join(inputFile, `slide-${index + 1}.html`);
+    fs.writeFileSync(htmlFile, markdownSlideDocument(slide.html));
+    return htmlFile;
+  });
+  const pdfDir = path.join(outputDir, 'markdown-pdf');
+  fs.mkdirSync(pdfDir, { recursive: true });
+  
+  try {
+    console.log(`🔄 Rendering ${htmlFiles.length} Markdown slides to PDF`);
+    try {
+      // One LibreOffice run for every slide; importing as a Writer document applies the @page size
+      await runLibreOffice([
+        '--infilter=HTML (StarWriter)', '--convert-to', 'pdf:writer_pdf_Export', '--outdir', pdfDir, ...htmlFiles
+      ], { signal: ctx.signal });
+    } catch (error) {
+      if (error.reason === 'cancelled') {
+        throw error;
+      }
+      console.error(`❌ Markdown rendering error: ${error.message}`);
+      ctx.libreOfficeFailure = { reason: error.reason, message: error.message };
+      return withMarkdownText(await createFallbackPlaceholders(ctx, sources.length, {
+        status: 'fallback_placeholders',
+        message: 'Rendering failed. Generated distinct placeholder slides instead.',
+        reason: error.message
+      }));
+    }
+    
+    await updateJobStatus(job.id, 'rasterizing');
+    
+    const slideUrls = [];
+    const placeholderSlides = [];
+    for (let slideNumber = 1; slideNumber <= sources.length; slideNumber++) {
+      throwIfCancelled(ctx);
+      reportSlideProgress(job, slideNumber, sources.length);
+      
+      // Content past the first page of a slide is cut off
+      const pageState = await rasterizePdfPage(ctx, path.join(pdfDir, `slide-${slideNumber}.pdf`), 1, slideNumber);
+      if (pageState !== 'converted') {
+        placeholderSlides.push(slideNumber);
+      }
+      slideUrls.push(`/slides/${assetId}/slide-${slideNumber}.jpg`);
+    }
+    
+    return withMarkdownText({
+      slides: slideUrls,
+      slideVariants: await renderSlideVariants(ctx, slideUrls),
+      placeholderSlides: placeholderSlides,
+      isPlaceholder: false
+    });
+  } finally {
+    fs.rmSync(pdfDir, { recursive: true, force: true });
+    fs.rmSync(path.join(outputDir, 'temp'), { recursive: true, force: true });
+  }
+}
+
+// Helper function to create fallback placeholders
+async function createFallbackPlaceholders(ctx, slideCount, notice) {
+  const { assetId, outputDir, originalName } = ctx;
+  const placeholderUrls = [];
+  const slideTexts = [];
+  const placeholderSlides = [];
+  
+  await updateJobStatus(ctx.job.id, 'rasterizing');
+  
+  for (let i = 0; i < slideCount; i++) {
+    const slideNumber = i + 1;
+    const placeholderPath = path.join(outputDir, `slide-${slideNumber}.jpg`);
+    reportSlideProgress(ctx.job, slideNumber, slideCount);
+    await createDistinctPlaceholder(placeholderPath, slideNumber, originalName, notice.reason);
+    placeholderUrls.push(`/slides/${assetId}/slide-${slideNumber}.jpg`);
+    slideTexts.push(`Slide ${slideNumber} (Placeholder)`);
+    placeholderSlides.push(slideNumber);
+  }
+  
+  return {
+    slides: placeholderUrls,
+    slideTexts: slideTexts,
+    slideVariants: await renderSlideVariants(ctx, placeholderUrls),
+    placeholderSlides: placeholderSlides,
+    isPlaceholder: true,
+    status: notice.status,
+    message: notice.message
+  };
+}
+
+// Upload a presentation and queue it for conversion - responds 202 with the job id
+app.post('/convert', upload.single('presentation'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+  
+  console.log(`📁 Received file: ${req.file.originalname} (${req.file.size} bytes)`);
+  await startConversion(req, res);
+});
+
+// Send the outcome of submitConversion for the uploaded req.file and its form fields
+async function startConversion(req, res) {
+  const outcome = await submitConversion(req.file, { dedupe: req.query.dedupe, ...req.body }, req.uploadId);
+  res.status(outcome.statusCode).json(outcome.body);
+}
+
+// Hash, deduplicate and queue an uploaded file ({ path, originalname, size }) described by /convert form fields
+// Resolves to { statusCode, body } rather than responding, so batch imports can collect the results
+async function submitConversion(file, fields, uploadId) {
+  const respond = (statusCode, body) => ({ statusCode: statusCode, body: body });
+  
+  // The extension only got the file this far; check what it really is before LibreOffice sees it
+  let inputFormat;
+  try {
+    inputFormat = await validatePresentationFile(file.path, file.originalname);
+  } catch (validationError) {
+    console.warn(`⚠️  Rejected ${file.originalname}: ${validationError.message}`);
+    fs.unlink(file.path, (err) => {
+      if (err) console.error(`❌ Error deleting uploaded file: ${err.message}`);
+    });
+    if (uploadId) {
+      updateUploadProgress(uploadId, { status: 'failed', error: validationError.message });
+    }
+    return respond(validationError.status || 422, { error: validationError.message });
+  }
+  
+  let renderProfile;
+  try {
+    renderProfile = parseRenderProfile(fields);
+  } catch (profileError) {
+    fs.unlink(file.path, (err) => {
+      if (err) console.error(`❌ Error deleting uploaded file: ${err.message}`);
+    });
+    return respond(400, { error: `Invalid rendering profile: ${profileError.message}` });
+  }
+  
+  // dedupe=reuse (default) shares an earlier conversion's slides, reject answers 409, off always converts
+  const dedupeMode = String(fields.dedupe || 'reuse').toLowerCase();
+  if (!DEDUPE_MODES.includes(dedupeMode)) {
+    fs.unlink(file.path, (err) => {
+      if (err) console.error(`❌ Error deleting uploaded file: ${err.message}`);
+    });
+    return respond(400, { error: `Invalid dedupe mode '${dedupeMode}' (use ${DEDUPE_MODES.join(', ')})` });
+  }
+  
+  let contentHash;
+  let duplicate = null;
+  try {
+    contentHash = await hashFile(file.path);
+    if (dedupeMode !== 'off') {
+      duplicate = await findConvertedDuplicate(contentHash, renderProfile);
+    }
+  } catch (hashError) {
+    // Deduplication is an optimization - fall back to a normal conversion
+    console.error(`❌ Duplicate lookup failed: ${hashError.message}`);
+  }
+  
+  if (duplicate && dedupeMode === 'reject') {
+    console.log(`♻️  Rejecting duplicate of ${duplicate.id}: ${file.originalname}`);
+    fs.unlink(file.path, (err) => {
+      if (err) console.error(`❌ Error deleting uploaded file: ${err.message}`);
+    });
+    if (uploadId) {
+      updateUploadProgress(uploadId, { status: 'failed', error: 'Duplicate presentation', presentationId: duplicate.id });
+    }
+    return respond(409, {
+      error: 'This file was already converted with the same rendering profile',
+      existingId: duplicate.id,
+      title: duplicate.title,
+      contentHash: contentHash
+    });
+  }
+  
+  const jobId = uuidv4();
+  const presentationId = uuidv4();
+  const now = new Date();
+  
+  // Get metadata from request body
+  const job = {
+    id: jobId,
+    presentationId: presentationId,
+    status: 'queued',
+    originalName: file.originalname,
+    inputFormat: inputFormat,
+    inputPath: file.path,
+    uploadId: uploadId,
+    contentHash: contentHash,
+    renderProfile: renderProfile,
+    metadata: {
+      title: fields.title || file.originalname.replace(/\.[^/.]+$/, ""),
+      summary: fields.summary || "",
+      author: fields.author || "Anonymous",
+      authorId: fields.authorId || uuidv4(),
+      topics: fields.topics ? (Array.isArray(fields.topics) ? fields.topics : [fields.topics]) : []
+    },
+    createdAt: now,
+    updatedAt: now
+  };
+  
+  try {
+    await registerConversionJob(job);
+  } catch (dbError) {
+    console.error(`❌ CRITICAL: Failed to save conversion job to database: ${dbError}`);
+    fs.unlink(file.path, (err) => {
+      if (err) console.error(`❌ Error deleting uploaded file: ${err.message}`);
+    });
+    return respond(500, {
+      error: "Failed to save conversion job to database",
+      details: dbError.message,
+      status: "database_error"
+    });
+  }
+  
+  if (duplicate) {
+    // Nothing to convert, so the job finishes before we respond
+    await reuseConvertedPresentation(job, duplicate);
+    return respond(job.status === 'done' ? 201 : 500, {
+      jobId: jobId,
+      uploadId: uploadId,
+      progressUrl: uploadId ? `/upload-progress/${uploadId}` : undefined,
+      id: presentationId,
+      originalName: file.originalname,
+      title: job.metadata.title,
+      renderProfile: renderProfile,
+      status: job.status,
+      deduplicated: true,
+      assetsFrom: job.result ? job.result.assetsFrom : (duplicate.assetsFrom || duplicate.id),
+      error: job.error || undefined,
+      result: job.result || null,
+      statusUrl: `/jobs/${jobId}`,
+      eventsUrl: `/jobs/${jobId}/events`
+    });
+  }
+  
+  enqueueConversionJob(jobId);
+  
+  return respond(202, {
+    jobId: jobId,
+    uploadId: uploadId,
+    progressUrl: uploadId ? `/upload-progress/${uploadId}` : undefined,
+    id: presentationId,
+    originalName: file.originalname,
+    title: job.metadata.title,
+    renderProfile: renderProfile,
+    status: job.status,
+    statusUrl: `/jobs/${jobId}`,
+    eventsUrl: `/jobs/${jobId}/events`
+  });
+}
+
+function resumableUploadPaths(id) {
+  return {
+    data: path.join(resumableUploadDir, `${id}.part`),
+    info: path.join(resumableUploadDir, `${id}.json`)
+  };
+}
+
+// Details of a resumable upload with its current offset, or null if it doesn't exist
+function readResumableUpload(id) {
+  if (!isValidUploadId(id)) {
+    return null;
+  }
+  
+  const paths = resumableUploadPaths(id);
+  try {
+    const info = JSON.parse(fs.readFileSync(paths.info, 'utf8'));
+    info.offset = fs.statSync(paths.data).size;
+    return info;
+  } catch (error) {
+    return null;
+  }
+}
+
+function removeResumableUpload(id) {
+  const paths = resumableUploadPaths(id);
+  fs.rmSync(paths.data, { force: true });
+  fs.rmSync(paths.info, { force: true });
+}
+
+function describeResumableUpload(info) {
+  return {
+    id: info.id,
+    filename: info.filename,
+    size: info.size,
+    offset: info.offset,
+    complete: info.offset === info.size,
+    uploadUrl: `/uploads/${info.id}`,
+    finalizeUrl: `/uploads/${info.id}/finalize`,
+    progressUrl: `/upload-progress/${info.id}`,
+    expiresAt: new Date(new Date(info.updatedAt).getTime() + RESUMABLE_UPLOAD_TTL_MS)
+  };
+}
+
+// Accepts 'sha256:<hex>' or bare hex; returns lowercase hex or null
+function normalizeChecksum(value) {
+  if (!value) {
+    return null;
+  }
+  const hex = String(value).trim().replace(/^sha256[:=]/i, '').toLowerCase();
+  return /^[0-9a-f]{64}$/.test(hex) ? hex : undefined;
+}
+
+// Delete resumable uploads that stopped receiving chunks
+function cleanupStaleResumableUploads() {
+  if (!fs.existsSync(resumableUploadDir)) {
+    return;
+  }
+  
+  fs.readdirSync(resumableUploadDir)
+    .filter(file => file.endsWith('.json'))
+    .forEach(file => {
+      const id = path.basename(file, '.json');
+      const info = readResumableUpload(id);
+      if (!info || Date.now() - new Date(info.updatedAt).getTime() > RESUMABLE_UPLOAD_TTL_MS) {
+        if (!resumableUploadsBusy.has(id)) {
+          console.log(`🧹 Removing stale resumable upload ${id}`);
+          removeResumableUpload(id);
+        }
+      }
+    });
+}
+
+setInterval(cleanupStaleResumableUploads, 60 * 60 * 1000).unref();
+
+// Start a resumable upload: { filename, size, checksum?, metadata? }
+app.post('/uploads', (req, res) => {
+  const { filename, metadata } = req.body || {};
+  const size = Number(req.body && req.body.size);
+  
+  if (!filename || typeof filename !== 'string') {
+    return res.status(400).json({ error: 'filename is required' });
+  }
+  if (!ALLOWED_UPLOAD_EXTENSIONS.includes(path.extname(filename).toLowerCase())) {
+    return res.status(415).json({ error: `Only presentation files (${ALLOWED_UPLOAD_EXTENSIONS.join(', ')}) are allowed` });
+  }
+  if (!Number.isInteger(size) || size < 1) {
+    return res.status(400).json({ error: 'size must be the total file size in bytes' });
+  }
+  if (size > MAX_UPLOAD_BYTES) {
+    return res.status(413).json({ error: `File is larger than the ${MAX_UPLOAD_BYTES} byte limit`, maxBytes: MAX_UPLOAD_BYTES });
+  }
+  const checksum = normalizeChecksum(req.body.checksum);
+  if (checksum === undefined) {
+    return res.status(400).json({ error: 'checksum must be a SHA-256 hex digest' });
+  }
+  
+  const id = uuidv4();
+  const now = new Date();
+  const info = {
+    id: id,
+    filename: path.basename(filename),
+    size: size,
+    checksum: checksum,
+    metadata: metadata && typeof metadata === 'object' ? metadata : {},
+    createdAt: now,
+    updatedAt: now
+  };
+  
+  const paths = resumableUploadPaths(id);
+  fs.mkdirSync(resumableUploadDir, { recursive: true });
+  fs.writeFileSync(paths.data, '');
+  fs.writeFileSync(paths.info, JSON.stringify(info));
+  
+  updateUploadProgress(id, { status: 'uploading', progress: 0, bytesReceived: 0, totalBytes: size, error: null });
+  console.log(`📤 Started resumable upload ${id} for ${info.filename} (${size} bytes)`);
+  
+  info.offset = 0;
+  res.status(201)
+    .set('Location', `/uploads/${id}`)
+    .set('Upload-Offset', '0')
+    .set('Upload-Length', String(size))
+    .json(describeResumableUpload(info));
+});
+
+// Current offset, so a client can resume after a dropped connection
+app.head('/uploads/:id', (req, res) => {
+  const info = readResumableUpload(req.params.id);
+  if (!info) {
+    return res.status(404).end();
+  }
+  res.set({
+    'Upload-Offset': String(info.offset),
+    'Upload-Length': String(info.size),
+    'Cache-Control': 'no-store'
+  }).status(200).end();
+});
+
+app.get('/uploads/:id', (req, res) => {
+  const info = readResumableUpload(req.params.id);
+  if (!info) {
+    return res.status(404).json({ error: 'Upload not found' });
+  }
+  res.set('Cache-Control', 'no-store').json(describeResumableUpload(info));
+});
+
+// Append a chunk; Upload-Offset must equal the bytes already received
+app.patch('/uploads/:id', (req, res) => {
+  const id = req.params.id;
+  const info = readResumableUpload(id);
+  if (!info) {
+    return res.status(404).json({ error: 'Upload not found' });
+  }
+  // Any other type may already have been consumed by a body parser, leaving no chunk to read
+  if (!req.is('application/offset+octet-stream')) {
+    return res.status(415).json({ error: 'Chunks must be sent as Content-Type: application/offset+octet-stream' });
+  }
+  
+  const clientOffset = Number(req.get('Upload-Offset'));
+  if (!Number.isInteger(clientOffset)) {
+    return res.status(400).json({ error: 'Upload-Offset header is required' });
+  }
+  if (clientOffset !== info.offset) {
+    return res.status(409).set('Upload-Offset', String(info.offset))
+      .json({ error: 'Upload-Offset does not match the bytes received', offset: info.offset });
+  }
+  if (resumableUploadsBusy.has(id)) {
+    return res.status(409).json({ error: 'Another chunk is still being written', offset: info.offset });
+  }
+  
+  resumableUploadsBusy.add(id);
+  const paths = resumableUploadPaths(id);
+  const remaining = info.size - info.offset;
+  const output = fs.createWriteStream(paths.data, { flags: 'a' });
+  let received = 0;
+  let lastReportedAt = 0;
+  let rejected = false;
+  let finished = false;
+  
+  // Runs once per request; the busy flag is released even if recording the new offset fails
+  const finish = (status, body) => {
+    if (finished) {
+      return;
+    }
+    finished = true;
+    let offset = info.offset;
+    try {
+      info.updatedAt = new Date();
+      delete info.offset;
+      fs.writeFileSync(paths.info, JSON.stringify(info));
+      
+      offset = fs.statSync(paths.data).size;
+      updateUploadProgress(id, {
+        status: 'uploading',
+        progress: Math.round((offset / info.size) * 1000) / 10,
+        bytesReceived: offset,
+        totalBytes: info.size
+      });
+    } catch (err) {
+      console.error(`❌ Error recording offset of upload ${id}: ${err.message}`);
+      status = 500;
+      body = { error: 'Could not store chunk' };
+    } finally {
+      resumableUploadsBusy.delete(id);
+    }
+    
+    if (!res.headersSent) {
+      res.set('Upload-Offset', String(offset));
+      if (body) {
+        res.status(status).json({ ...body, offset: offset });
+      } else {
+        res.status(status).end();
+      }
+    }
+  };
+  
+  req.on('data', (chunk) => {
+    if (rejected) {
+      return;
+    }
+    
+    // Never store past the declared size
+    if (received + chunk.length > remaining) {
+      rejected = true;
+      output.end(chunk.subarray(0, remaining - received), () => {
+        finish(413, { error: 'Chunk runs past the declared upload size' });
+      });
+      return;
+    }
+    received += chunk.length;
+    
+    if (!output.write(chunk)) {
+      req.pause();
+      output.once('drain', () => req.resume());
+    }
+    
+    const now = Date.now();
+    if (now - lastReportedAt >= 250) {
+      lastReportedAt = now;
+      updateUploadProgress(id, {
+        progress: Math.round(((info.offset + received) / info.size) * 1000) / 10,
+        bytesReceived: info.offset + received
+      });
+    }
+  });
+  
+  req.on('end', () => {
+    if (!rejected) {
+      output.end();
+    }
+  });
+  
+  // Whatever reached the disk before a dropped connection counts - the client resumes from there
+  req.on('aborted', () => {
+    console.log(`📤 Resumable upload ${id} interrupted after ${received} bytes`);
+    if (!rejected) {
+      output.end();
+    }
+  });
+  // However the request ends, close the file so finish() runs and the upload isn't left busy
+  req.on('close', () => {
+    if (!output.writableEnded) {
+      output.end();
+    }
+  });
+  
+  output.on('close', () => {
+    if (!rejected) {
+      finish(204);
+    }
+  });
+  output.on('error', (err) => {
+    console.error(`❌ Error writing chunk for upload ${id}: ${err.message}`);
+    rejected = true;
+    finish(500, { error: 'Could not store chunk' });
+  });
+});
+
+// Abandon a resumable upload
+app.delete('/uploads/:id', (req, res) => {
+  const info = readResumableUpload(req.params.id);
+  if (!info) {
+    return res.status(404).json({ error: 'Upload not found' });
+  }
+  if (resumableUploadsBusy.has(info.id)) {
+    return res.status(409).json({ error: 'A chunk is still being written' });
+  }
+  removeResumableUpload(info.id);
+  updateUploadProgress(info.id, { status: 'failed', error: 'Upload cancelled' });
+  res.status(204).end();
+});
+
+// Verify the assembled file and hand it to the conversion pipeline
+// Body fields are the same as /convert's form fields and override the metadata given at creation
+app.post('/uploads/:id/finalize', async (req, res) => {
+  const id = req.params.id;
+  const info = readResumableUpload(id);
+  if (!info) {
+    return res.status(404).json({ error: 'Upload not found' });
+  }
+  if (resumableUploadsBusy.has(id)) {
+    return res.status(409).json({ error: 'A chunk is still being written', offset: info.offset });
+  }
+  if (info.offset !== info.size) {
+    return res.status(409).json({ error: 'Upload is incomplete', offset: info.offset, size: info.size });
+  }
+  
+  // The checksum may come at creation or here, but one of them is required
+  const bodyChecksum = normalizeChecksum(req.body && req.body.checksum);
+  if (bodyChecksum === undefined) {
+    return res.status(400).json({ error: 'checksum must be a SHA-256 hex digest' });
+  }
+  if (bodyChecksum && info.checksum && bodyChecksum !== info.checksum) {
+    return res.status(400).json({ error: 'checksum differs from the one given when the upload was created' });
+  }
+  const checksum = bodyChecksum || info.checksum;
+  if (!checksum) {
+    return res.status(400).json({ error: 'A SHA-256 checksum is required, either when creating the upload or here' });
+  }
+  
+  const paths = resumableUploadPaths(id);
+  resumableUploadsBusy.add(id);
+  try {
+    const actual = await hashFile(paths.data);
+    if (actual !== checksum) {
+      // The bytes are wrong somewhere, so resuming can't fix it
+      removeResumableUpload(id);
+      updateUploadProgress(id, { status: 'failed', error: 'Checksum mismatch' });
+      return res.status(422).json({ error: 'Checksum mismatch - upload discarded', expected: checksum, actual: actual });
+    }
+    
+    // Move the file where multer would have put it and continue like a regular /convert
+    const inputPath = path.join(__dirname, 'uploads', `${Date.now()}-${uuidv4()}${path.extname(info.filename)}`);
+    fs.renameSync(paths.data, inputPath);
+    fs.rmSync(paths.info, { force: true });
+    console.log(`📁 Finalized resumable upload ${id}: ${info.filename} (${info.size} bytes)`);
+    
+    req.file = { path: inputPath, originalname: info.filename, size: info.size };
+    req.body = { ...info.metadata, ...(req.body || {}) };
+    req.uploadId = id;
+    updateUploadProgress(id, { status: 'uploaded', progress: 100, bytesReceived: info.size, totalBytes: info.size });
+  } catch (err) {
+    console.error(`❌ Error finalizing upload ${id}: ${err.message}`);
+    return res.status(500).json({ error: 'Could not finalize upload' });
+  } finally {
+    resumableUploadsBusy.delete(id);
+  }
+  
+  await startConversion(req, res);
+});
+
+// Minimal RFC 4180 CSV parser: quoted fields, doubled quotes, CRLF line endings
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+// Manifest entries keyed by lower-cased file name: { title, summary, author, topics }
+// JSON may be an array, { files: [...] } or an object keyed by file name; CSV needs a header row with a file column
+function parseBatchManifest(fileName, text) {
+  let entries;
+  if (fileName.toLowerCase().endsWith('.json')) {
+    const parsed = JSON.parse(text);
+    if (Array.isArray(parsed)) {
+      entries = parsed;
+    } else if (Array.isArray(parsed.files)) {
+      entries = parsed.files;
+    } else {
+      entries = Object.keys(parsed).map(key => ({ file: key, ...parsed[key] }));
+    }
+  } else {
+    const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+    const columns = (header || []).map(column => column.trim().toLowerCase());
+    entries = rows.map(cells => {
+      const entry = {};
+      columns.forEach((column, index) => {
+        entry[column] = (cells[index] || '').trim();
+      });
+      return entry;
+    });
+  }
+  
+  const manifest = {};
+  entries.forEach(entry => {
+    const file = entry.file || entry.filename || entry.name;
+    if (!file) {
+      return;
+    }
+    
+    // Topics may be a list, or a string split on ; or | (and commas in JSON)
+    let topics = entry.topics;
+    if (typeof topics === 'string') {
+      topics = topics.split(/[;|,]/);
+    }
+    
+    manifest[String(file).toLowerCase()] = {
+      title: entry.title || undefined,
+      summary: entry.summary || undefined,
+      author: entry.author || undefined,
+      topics: Array.isArray(topics) ? topics.map(topic => String(topic).trim()).filter(Boolean) : undefined
+    };
+  });
+  return manifest;
+}
+
+// Batch with every item's status refreshed from its conversion job
+async function refreshImportBatch(batch) {
+  const jobIds = batch.items.filter(item => item.jobId && !conversionJobs[item.jobId]).map(item => item.jobId);
+  const storedJobs = {};
+  if (jobIds.length > 0 && mongoose.connection.readyState === 1) {
+    (await ConversionJob.find({ id: { $in: jobIds } }).lean()).forEach(job => {
+      storedJobs[job.id] = job;
+    });
+  }
+  
+  const counts = {};
+  const items = batch.items.map(item => {
+    const job = item.jobId ? (conversionJobs[item.jobId] || storedJobs[item.jobId]) : null;
+    const current = job
+      ? { ...item, status: job.status, error: job.error || item.error || null, statusUrl: `/jobs/${item.jobId}` }
+      : { ...item };
+    counts[current.status] = (counts[current.status] || 0) + 1;
+    return current;
+  });
+  
+  const pending = items.some(item => item.jobId && !TERMINAL_JOB_STATES.includes(item.status));
+  return {
+    id: batch.id,
+    originalName: batch.originalName,
+    status: pending ? 'processing' : 'done',
+    manifestFile: batch.manifestFile || null,
+    manifestWarnings: batch.manifestWarnings || [],
+    total: items.length,
+    counts: counts,
+    items: items,
+    createdAt: batch.createdAt
+  };
+}
+
+// Import every presentation in a ZIP archive, with an optional manifest.csv/manifest.json for metadata
+// Other form fields (renderProfile, dedupe, author, topics...) apply to every file unless the manifest overrides them
+app.post('/batches', batchUpload.single('archive'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No archive uploaded (use the "archive" field)' });
+  }
+  
+  console.log(`📦 Received batch archive: ${req.file.originalname} (${req.file.size} bytes)`);
+  
+  let entries;
+  try {
+    // Each file is checked again on its own, so the archive may hold up to MAX_BATCH_UPLOAD_BYTES of decks
+    const archive = await openCheckedArchive(req.file.path, {
+      maxBytes: Math.max(MAX_ARCHIVE_UNCOMPRESSED_BYTES, MAX_BATCH_UPLOAD_BYTES * 2)
+    });
+    entries = archive.getEntries().filter(entry => !entry.isDirectory);
+  } catch (zipError) {
+    fs.unlink(req.file.path, () => {});
+    return res.status(zipError.status || 422).json({ error: `Could not read archive: ${zipError.message}` });
+  }
+  
+  const visibleEntries = entries.filter(entry => !isHiddenArchiveEntry(entry.entryName));
+  
+  const batch = {
+    id: uuidv4(),
+    originalName: req.file.originalname,
+    manifestWarnings: [],
+    items: [],
+    createdAt: new Date()
+  };
+  
+  let manifest = {};
+  const manifestEntry = visibleEntries.find(entry => /(^|\/)manifest\.(csv|json)$/i.test(entry.entryName));
+  if (manifestEntry) {
+    batch.manifestFile = manifestEntry.entryName;
+    try {
+      manifest = parseBatchManifest(manifestEntry.entryName, manifestEntry.getData().toString('utf8'));
+    } catch (manifestError) {
+      // A broken manifest shouldn't stop the import - files keep their default metadata
+      batch.manifestWarnings.push(`Could not parse ${manifestEntry.entryName}: ${manifestError.message}`);
+    }
+  }
+  
+  const usedManifestKeys = new Set();
+  for (const entry of visibleEntries) {
+    if (entry === manifestEntry) {
+      continue;
+    }
+    
+    const fileName = path.basename(entry.entryName);
+    const ext = path.extname(fileName).toLowerCase();
+    if (!ALLOWED_UPLOAD_EXTENSIONS.includes(ext)) {
+      batch.items.push({ fileName: entry.entryName, status: 'skipped', error: 'Not a presentation file' });
+      continue;
+    }
+    
+    // Each file is handled on its own so one failure can't abort the batch
+    try {
+      if (entry.header.size > MAX_UPLOAD_BYTES) {
+        throw new Error(`File is larger than the ${MAX_UPLOAD_BYTES} byte limit`);
+      }
+      
+      const manifestKey = [entry.entryName.toLowerCase(), fileName.toLowerCase()].find(key => manifest[key]);
+      if (manifestKey) {
+        usedManifestKeys.add(manifestKey);
+      }
+      const fields = { ...req.body };
+      Object.entries(manifestKey ? manifest[manifestKey] : {}).forEach(([key, value]) => {
+        if (value !== undefined) {
+          fields[key] = value;
+        }
+      });
+      
+      const inputPath = path.join(__dirname, 'uploads', `${Date.now()}-${uuidv4()}${ext}`);
+      fs.writeFileSync(inputPath, entry.getData());
+      
+      const outcome = await submitConversion({ path: inputPath, originalname: fileName, size: entry.header.size }, fields);
+      if (outcome.statusCode >= 400) {
+        batch.items.push({ fileName: entry.entryName, status: 'rejected', error: outcome.body.error, presentationId: outcome.body.existingId });
+      } else {
+        batch.items.push({
+          fileName: entry.entryName,
+          status: outcome.body.status,
+          jobId: outcome.body.jobId,
+          presentationId: outcome.body.id,
+          title: outcome.body.title
+        });
+      }
+    } catch (itemError) {
+      console.error(`❌ Batch ${batch.id}: could not queue ${entry.entryName}: ${itemError.message}`);
+      batch.items.push({ fileName: entry.entryName, status: 'rejected', error: itemError.message });
+    }
+  }
+  
+  Object.keys(manifest).filter(key => !usedManifestKeys.has(key)).forEach(key => {
+    batch.manifestWarnings.push(`Manifest entry '${key}' does not match any file in the archive`);
+  });
+  
+  fs.unlink(req.file.path, (err) => {
+    if (err) console.error(`❌ Error deleting batch archive: ${err.message}`);
+  });
+  
+  if (!batch.items.some(item => item.jobId || item.status === 'rejected')) {
+    return res.status(422).json({
+      error: `No presentation files found in the archive (expected ${ALLOWED_UPLOAD_EXTENSIONS.join(', ')})`,
+      items: batch.items
+    });
+  }
+  
+  importBatches[batch.id] = batch;
+  if (mongoose.connection.readyState === 1) {
+    try {
+      await new ImportBatch(batch).save();
+    } catch (dbError) {
+      console.error(`❌ Error saving batch ${batch.id}: ${dbError}`);
+    }
+  }
+  
+  console.log(`📦 Batch ${batch.id}: queued ${batch.items.filter(item => item.jobId).length} of ${batch.items.length} files`);
+  res.status(202).json({
+    batchId: batch.id,
+    statusUrl: `/batches/${batch.id}`,
+    ...(await refreshImportBatch(batch))
+  });
+});
+
+// Per-file status of a batch import
+app.get('/batches/:id', async (req, res) => {
+  try {
+    const batch = importBatches[req.params.id] ||
+      (mongoose.connection.readyState === 1 ? await ImportBatch.findOne({ id: req.params.id }).lean() : null);
+    if (!batch) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    res.json(await refreshImportBatch(batch));
+  } catch (err) {
+    console.error(`❌ Error fetching batch: ${err}`);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Poll the state of a conversion job
+app.get('/jobs/:id', async (req, res) => {
+  const jobId = req.params.id;
+  
+  if (conversionJobs[jobId]) {
+    return res.json(serializeJob(conversionJobs[jobId]));
+  }
+  
+  try {
+    const dbJob = await ConversionJob.findOne({ id: jobId }).lean();
+    if (!dbJob) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(serializeJob(dbJob));
+  } catch (err) {
+    console.error(`❌ Error fetching job from database: ${err}`);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Cancel a queued or running conversion; a running LibreOffice process tree is killed
+app.post('/jobs/:id/cancel', async (req, res) => {
+  const job = conversionJobs[req.params.id];
+  if (!job) {
+    // Finished jobs leave memory after CONVERSION_JOB_TTL_MS
+    const dbJob = mongoose.connection.readyState === 1
+      ? await ConversionJob.findOne({ id: req.params.id }).lean().catch(() => null)
+      : null;
+    if (dbJob && TERMINAL_JOB_STATES.includes(dbJob.status)) {
+      return res.status(409).json({ error: `Job already ${dbJob.status}`, job: serializeJob(dbJob) });
+    }
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (TERMINAL_JOB_STATES.includes(job.status)) {
+    return res.status(409).json({ error: `Job already ${job.status}`, job: serializeJob(job) });
+  }
+  
+  const queuedAt = jobQueue.indexOf(job.id);
+  if (queuedAt >= 0) {
+    jobQueue.splice(queuedAt, 1);
+    removeJobInput(job.inputPath);
+    await updateJobStatus(job.id, 'failed', { error: 'Conversion cancelled', failureReason: 'cancelled' });
+  } else if (jobAbortControllers[job.id]) {
+    // The worker notices, kills LibreOffice and marks the job failed
+    jobAbortControllers[job.id].abort();
+  }
+  
+  console.log(`🛑 Cancel requested for job ${job.id}`);
+  res.status(202).json(serializeJob(job));
+});
+
+// Subscribe to conversion job state changes via Server-Sent Events
+app.get('/jobs/:id/events', async (req, res) => {
+  const jobId = req.params.id;
+  let snapshot = conversionJobs[jobId] ? serializeJob(conversionJobs[jobId]) : null;
+  
+  if (!snapshot) {
+    try {
+      const dbJob = await ConversionJob.findOne({ id: jobId }).lean();
+      if (!dbJob) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+      snapshot = serializeJob(dbJob);
+    } catch (err) {
+      console.error(`❌ Error fetching job from database: ${err}`);
+      return res.status(500).json({ error: 'Database error' });
+    }
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  
+  const sendJob = (snapshot) => {
+    res.write(`event: status\ndata: ${JSON.stringify(snapshot)}\n\n`);
+    if (TERMINAL_JOB_STATES.includes(snapshot.status)) {
+      cleanup();
+      res.end();
+    }
+  };
+  
+  // Keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    jobEvents.removeListener(`job:${jobId}`, sendJob);
+  };
+  
+  jobEvents.on(`job:${jobId}`, sendJob);
+  req.on('close', cleanup);
+  
+  // A finished job (possibly only in the database) gets one status event and the stream ends
+  sendJob(snapshot);
+});
+
+// FIXED: Get presentation info endpoint with proper database queries
+app.get('/presentation/:id', async (req, res) => {
+  const presentationId = req.params.id;
+  const userId = req.query.userId; // Optional user ID for tracking
+  
+  // Optional ?version=N to fetch an older revision
+  let requestedVersion = null;
+  if (req.query.version !== undefined) {
+    requestedVersion = Number(req.query.version);
+    if (!Number.isInteger(requestedVersion) || requestedVersion < 1) {
+      return res.status(400).json({ error: 'version must be a positive integer' });
+    }
+  }
+  
+  console.log(`📊 Getting presentation: ${presentationId}`);
+  
+  // First try to get from memory cache
+  if (presentations[presentationId]) {
+    console.log(`✅ Found presentation ${presentationId} in memory cache`);
+    
+    // Track this view if userId is provided
+    if (userId) {
+      // Initialize user history if needed
+      if (!userPresentationHistory[userId]) {
+        userPresentationHistory[userId] = [];
+      }
+      
+      // Add to history if not already there
+      if (!userPresentationHistory[userId].includes(presentationId)) {
+        userPresentationHistory[userId].push(presentationId);
+      }
+      
+      // Increment view count in database
+      Presentation.findOneAndUpdate(
+        { id: presentationId },
+        { $inc: { viewCount: 1 } }
+      ).catch(err => {
+        console.error(`❌ Error updating view count in database: ${err}`);
+      });
+    }
+    
+    return sendPresentationVersion(res, presentations[presentationId], requestedVersion);
+  }
+  
+  // If not in memory, try to get from database
+  try {
+    console.log(`🔍 Searching database for presentation: ${presentationId}`);
+    // CRITICAL FIX: Use select() to explicitly include slides and slideTexts fields
+    const dbPresentation = await Presentation.findOne({ id: presentationId, isDeleted: false })
+      .select('+slides +slideTexts')  // Force inclusion of these fields
+      .lean();
+    
+    if (!dbPresentation) {
+      console.log(`❌ Presentation ${presentationId} not found in database`);
+      return res.status(404).json({ error: 'Presentation not found' });
+    }
+    
+    console.log(`✅ Found presentation ${presentationId} in database`);
+    console.log(`📊 Database document has ${dbPresentation.slides?.length || 0} slides and ${dbPresentation.slideTexts?.length || 0} slide texts`);
+    
+    // Debug log the first slide text if available
+    if (dbPresentation.slideTexts && dbPresentation.slideTexts.length > 0) {
+      console.log(`📝 First slide text preview: ${dbPresentation.slideTexts[0].substring(0, 100)}...`);
+    }
+    
+    // Add to memory cache
+    presentations[presentationId] = dbPresentation;
+    
+    // Update topic indexes
+    (dbPresentation.topics || []).forEach(topic => {
+      topic = topic.toLowerCase();
+      if (!presentationsByTopic[topic]) {
+        presentationsByTopic[topic] = [];
+      }
+      if (!presentationsByTopic[topic].includes(presentationId)) {
+        presentationsByTopic[topic].push(presentationId);
+      }
+    });
+    
+    // Track this view
+    if (userId) {
+      // Update view count
+      await Presentation.findOneAndUpdate(
+        { id: presentationId },
+        { $inc: { viewCount: 1 } }
+      );
+      
+      // Add to user history
+      if (!userPresentationHistory[userId]) {
+        userPresentationHistory[userId] = [];
+      }
+      if (!userPresentationHistory[userId].includes(presentationId)) {
+        userPresentationHistory[userId].push(presentationId);
+      }
+    }
+    
+    return sendPresentationVersion(res, dbPresentation, requestedVersion);
+  } catch (err) {
+    console.error(`❌ Error fetching presentation from database: ${err}`);
+    return res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Respond with the current presentation, or an older revision when ?version= asks for one
+function sendPresentationVersion(res, presentation, version) {
+  if (!version) {
+    return res.json(presentation);
+  }
+  
+  const view = presentationAtVersion(presentation, version);
+  if (!view) {
+    return res.status(404).json({
+      error: `Version ${version} not found`,
+      currentVersion: presentation.currentVersion || 1
+    });
+  }
+  res.json(view);
+}
+
+// Upload a new revision of an existing presentation; it keeps the id, metadata, views and history
+app.post('/presentation/:id/versions', trackUploadProgress, upload.single('presentation'), async (req, res) => {
+  const presentationId = req.params.id;
+  
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+  
+  const discardUpload = () => {
+    fs.unlink(req.file.path, (err) => {
+      if (err) console.error(`❌ Error deleting uploaded file: ${err.message}`);
+    });
+  };
+  
+  console.log(`📁 Received new version of ${presentationId}: ${req.file.originalname} (${req.file.size} bytes)`);
+  
+  let inputFormat;
+  try {
+    inputFormat = await validatePresentationFile(req.file.path, req.file.originalname);
+  } catch (validationError) {
+    discardUpload();
+    return res.status(validationError.status || 422).json({ error: validationError.message });
+  }
+  
+  let presentation;
+  try {
+    presentation = await Presentation.findOne({ id: presentationId, isDeleted: false }).lean();
+  } catch (err) {
+    console.error(`❌ Error fetching presentation from database: ${err}`);
+    discardUpload();
+    return res.status(500).json({ error: 'Database error' });
+  }
+  if (!presentation) {
+    discardUpload();
+    return res.status(404).json({ error: 'Presentation not found' });
+  }
+  
+  // Keep the presentation's rendering profile unless the upload asks for a different one
+  let renderProfile = presentation.renderProfile || DEFAULT_RENDER_PROFILE;
+  const profileFields = ['renderProfile', 'formats', 'widths', 'dpi', 'quality', 'builds'];
+  if (profileFields.some(field => req.body[field] !== undefined)) {
+    try {
+      renderProfile = parseRenderProfile(req.body);
+    } catch (profileError) {
+      discardUpload();
+      return res.status(400).json({ error: `Invalid rendering profile: ${profileError.message}` });
+    }
+  }
+  
+  const jobId = uuidv4();
+  const version = reserveRevisionVersion(presentation);
+  const now = new Date();
+  const job = {
+    id: jobId,
+    presentationId: presentationId,
+    status: 'queued',
+    originalName: req.file.originalname,
+    inputFormat: inputFormat,
+    inputPath: req.file.path,
+    uploadId: req.uploadId,
+    contentHash: await hashFile(req.file.path).catch(() => undefined),
+    version: version,
+    makeCurrent: String(req.body.makeCurrent) !== 'false',
+    renderProfile: renderProfile,
+    metadata: {
+      title: presentation.title,
+      summary: presentation.summary,
+      author: presentation.author,
+      authorId: presentation.authorId,
+      topics: presentation.topics || []
+    },
+    createdAt: now,
+    updatedAt: now
+  };
+  
+  try {
+    await registerConversionJob(job);
+  } catch (dbError) {
+    console.error(`❌ CRITICAL: Failed to save conversion job to database: ${dbError}`);
+    discardUpload();
+    return res.status(500).json({
+      error: "Failed to save conversion job to database",
+      details: dbError.message,
+      status: "database_error"
+    });
+  } finally {
+    // The job (if it registered) now holds the version
+    releaseRevisionVersion(presentationId, version);
+  }
+  
+  enqueueConversionJob(jobId);
+  
+  res.status(202).json({
+    jobId: jobId,
+    uploadId: req.uploadId,
+    progressUrl: `/upload-progress/${req.uploadId}`,
+    id: presentationId,
+    version: version,
+    makeCurrent: job.makeCurrent,
+    originalName: req.file.originalname,
+    title: presentation.title,
+    renderProfile: renderProfile,
+    status: job.status,
+    statusUrl: `/jobs/${jobId}`,
+    eventsUrl: `/jobs/${jobId}/events`
+  });
+});
+
+// List a presentation's revisions
+app.get('/presentation/:id/versions', async (req, res) => {
+  const presentationId = req.params.id;
+  
+  try {
+    const presentation = presentations[presentationId] ||
+      await Presentation.findOne({ id: presentationId, isDeleted: false }).lean();
+    if (!presentation) {
+      return res.status(404).json({ error: 'Presentation not found' });
+    }
+    
+    const currentVersion = presentation.currentVersion || 1;
+    const pendingVersions = Object.values(conversionJobs)
+      .filter(job => job.presentationId === presentationId && job.version && !TERMINAL_JOB_STATES.includes(job.status))
+      .map(job => ({ version: job.version, jobId: job.id, status: job.status }));
+    
+    res.json({
+      id: presentationId,
+      currentVersion: currentVersion,
+      revisions: listRevisions(presentation).map(revision => ({
+        version: revision.version,
+        isCurrent: revision.version === currentVersion,
+        originalName: revision.originalName,
+        inputFormat: revision.inputFormat || null,
+        slideCount: revision.slideCount,
+        contentHash: revision.contentHash || null,
+        converted: revision.converted,
+        url: `/presentation/${presentationId}?version=${revision.version}`
+      })),
+      pending: pendingVersions
+    });
+  } catch (err) {
+    console.error(`❌ Error listing versions: ${err}`);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Slides are paired when their combined text/image similarity reaches this
+const SLIDE_MATCH_THRESHOLD = 0.6;
+
+// Perceptual hashes further apart than this many bits count as a visual change
+const IMAGE_CHANGE_DISTANCE = 4;
+
+// 64-bit difference hash (dHash) of a slide image as hex, or null if it can't be read
+async function perceptualHash(slideUrl) {
+  const filePath = slideUrlToPath(slideUrl);
+  if (!filePath || !fs.existsSync(filePath)) {
+    return null;
+  }
+  
+  try {
+    const stats = fs.statSync(filePath);
+    const known = slidePerceptualHashes[filePath];
+    if (known && known.mtimeMs === stats.mtimeMs) {
+      return known.hash;
+    }
+    
+    // 9x8 grayscale thumbnail: each bit says whether a pixel is brighter than its right neighbour
+    const pixels = await sharp(filePath).grayscale().resize(9, 8, { fit: 'fill' }).raw().toBuffer();
+    let hash = '';
+    for (let row = 0; row < 8; row++) {
+      let nibble = 0;
+      for (let col = 0; col < 8; col++) {
+        nibble = (nibble << 1) | (pixels[row * 9 + col] > pixels[row * 9 + col + 1] ? 1 : 0);
+        if (col % 4 === 3) {
+          hash += nibble.toString(16);
+          nibble = 0;
+        }
+      }
+    }
+    
+    slidePerceptualHashes[filePath] = { mtimeMs: stats.mtimeMs, hash: hash };
+    return hash;
+  } catch (error) {
+    console.error(`❌ Could not hash slide image ${slideUrl}: ${error.message}`);
+    return null;
+  }
+}
+
+// Number of differing bits between two hex perceptual hashes
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (bits) {
+      distance += bits & 1;
+      bits >>= 1;
+    }
+  }
+  return distance;
+}
+
+// Jaccard similarity of the words in two slide texts (1 when both are empty)
+function textSimilarity(a, b) {
+  const words = text => new Set((text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+  const wordsA = words(a);
+  const wordsB = words(b);
+  if (wordsA.size === 0 && wordsB.size === 0) {
+    return 1;
+  }
+  let shared = 0;
+  wordsA.forEach(word => {
+    if (wordsB.has(word)) shared++;
+  });
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+// Line diff of two slide texts as { type: 'added' | 'removed', text } entries, in order
+function diffSlideText(before, after) {
+  const toLines = text => (text || '').split('\n').map(line => line.trim()).filter(Boolean);
+  const a = toLines(before);
+  const b = toLines(after);
+  
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      i++;
+      j++;
+    } else if (j < b.length && (i === a.length || lcs[i][j + 1] > lcs[i + 1][j])) {
+      changes.push({ type: 'added', text: b[j++] });
+    } else {
+      changes.push({ type: 'removed', text: a[i++] });
+    }
+  }
+  return changes;
+}
 
-// FIXED: Get presentation info endpoint with proper database queries
-app.get('/presentation/:id', async (req, res) => {
-  const presentationId = req.params.id;
-  const userId = req.query.userId; // Optional user ID for tracking
+// Text and perceptual hash for every slide of one presentation version
+async function describeVersionSlides(version) {
+  const slideTexts = version.slideTexts || [];
+  const imageUrls = version.slideItems && version.slideItems.length > 0
+    ? [...version.slideItems].sort((a, b) => a.index - b.index).map(item => item.imageUrl)
+    : (version.slides || []);
   
-  console.log(`📊 Getting presentation: ${presentationId}`);
+  const slides = [];
+  for (let index = 0; index < imageUrls.length; index++) {
+    slides.push({
+      number: index + 1,
+      text: slideTexts[index] || '',
+      imageUrl: imageUrls[index],
+      hash: await perceptualHash(imageUrls[index])
+    });
+  }
+  return slides;
+}
+
+// Compare two versions slide by slide: pair similar slides, then classify each pair
+function compareVersionSlides(fromSlides, toSlides) {
+  const score = (a, b) => {
+    const text = textSimilarity(a.text, b.text);
+    const hasText = a.text.trim() || b.text.trim();
+    if (!a.hash || !b.hash) {
+      return { score: text, text: text, distance: null };
+    }
+    const distance = hammingDistance(a.hash, b.hash);
+    const image = 1 - distance / 64;
+    return { score: hasText ? (text + image) / 2 : image, text: text, distance: distance };
+  };
   
-  // First try to get from memory cache
-  if (presentations[presentationId]) {
-    console.log(`✅ Found presentation ${presentationId} in memory cache`);
-    
-    // Track this view if userId is provided
-    if (userId) {
-      // Initialize user history if needed
-      if (!userPresentationHistory[userId]) {
-        userPresentationHistory[userId] = [];
+  // Greedy one-to-one pairing, best matches first, preferring slides that kept their position
+  const candidates = [];
+  fromSlides.forEach(a => {
+    toSlides.forEach(b => {
+      const similarity = score(a, b);
+      if (similarity.score >= SLIDE_MATCH_THRESHOLD) {
+        candidates.push({ from: a, to: b, ...similarity });
       }
-      
-      // Add to history if not already there
-      if (!userPresentationHistory[userId].includes(presentationId)) {
-        userPresentationHistory[userId].push(presentationId);
+    });
+  });
+  candidates.sort((x, y) =>
+    y.score - x.score ||
+    Math.abs(x.from.number - x.to.number) - Math.abs(y.from.number - y.to.number));
+  
+  const pairedFrom = new Set();
+  const pairedTo = new Set();
+  const pairs = [];
+  candidates.forEach(candidate => {
+    if (!pairedFrom.has(candidate.from.number) && !pairedTo.has(candidate.to.number)) {
+      pairedFrom.add(candidate.from.number);
+      pairedTo.add(candidate.to.number);
+      pairs.push(candidate);
+    }
+  });
+  
+  // Pairs on the longest increasing run of new positions stayed in order; the rest moved
+  pairs.sort((x, y) => x.from.number - y.from.number);
+  const runLength = pairs.map(() => 1);
+  const previous = pairs.map(() => -1);
+  pairs.forEach((pair, i) => {
+    for (let j = 0; j < i; j++) {
+      if (pairs[j].to.number < pair.to.number && runLength[j] + 1 > runLength[i]) {
+        runLength[i] = runLength[j] + 1;
+        previous[i] = j;
       }
-      
-      // Increment view count in database
-      Presentation.findOneAndUpdate(
-        { id: presentationId },
-        { $inc: { viewCount: 1 } }
-      ).catch(err => {
-        console.error(`❌ Error updating view count in database: ${err}`);
-      });
     }
-    
-    return res.json(presentations[presentationId]);
+  });
+  const inOrder = new Set();
+  let last = runLength.indexOf(Math.max(0, ...runLength));
+  while (last >= 0) {
+    inOrder.add(last);
+    last = previous[last];
   }
   
-  // If not in memory, try to get from database
+  const changes = pairs.map((pair, i) => {
+    const textDiff = diffSlideText(pair.from.text, pair.to.text);
+    const imageChanged = pair.distance !== null && pair.distance > IMAGE_CHANGE_DISTANCE;
+    const modified = textDiff.length > 0 || imageChanged;
+    const moved = !inOrder.has(i);
+    return {
+      type: moved ? 'moved' : (modified ? 'modified' : 'unchanged'),
+      fromSlide: pair.from.number,
+      toSlide: pair.to.number,
+      modified: modified,
+      textSimilarity: Math.round(pair.text * 100) / 100,
+      imageDistance: pair.distance,
+      imageChanged: imageChanged,
+      textDiff: textDiff
+    };
+  });
+  
+  fromSlides.filter(slide => !pairedFrom.has(slide.number)).forEach(slide => {
+    changes.push({ type: 'removed', fromSlide: slide.number, toSlide: null, text: slide.text });
+  });
+  toSlides.filter(slide => !pairedTo.has(slide.number)).forEach(slide => {
+    changes.push({ type: 'inserted', fromSlide: null, toSlide: slide.number, text: slide.text });
+  });
+  
+  // Read in new-deck order, with removed slides next to where they used to be
+  const position = change => (change.toSlide !== null ? change.toSlide : change.fromSlide - 0.5);
+  return changes.sort((x, y) => position(x) - position(y));
+}
+
+// Slide-level changes between two revisions: /presentation/:id/diff?from=1&to=2
+app.get('/presentation/:id/diff', async (req, res) => {
+  const presentationId = req.params.id;
+  
   try {
-    console.log(`🔍 Searching database for presentation: ${presentationId}`);
-    // CRITICAL FIX: Use select() to explicitly include slides and slideTexts fields
-    const dbPresentation = await Presentation.findOne({ id: presentationId, isDeleted: false })
-      .select('+slides +slideTexts')  // Force inclusion of these fields
-      .lean();
-    
-    if (!dbPresentation) {
-      console.log(`❌ Presentation ${presentationId} not found in database`);
+    const presentation = presentations[presentationId] ||
+      await Presentation.findOne({ id: presentationId, isDeleted: false }).lean();
+    if (!presentation) {
       return res.status(404).json({ error: 'Presentation not found' });
     }
     
-    console.log(`✅ Found presentation ${presentationId} in database`);
-    console.log(`📊 Database document has ${dbPresentation.slides?.length || 0} slides and ${dbPresentation.slideTexts?.length || 0} slide texts`);
+    // Default to the current version against the one before it
+    const currentVersion = presentation.currentVersion || 1;
+    const to = req.query.to !== undefined ? Number(req.query.to) : currentVersion;
+    const from = req.query.from !== undefined ? Number(req.query.from) : to - 1;
+    if (![from, to].every(version => Number.isInteger(version) && version >= 1)) {
+      return res.status(400).json({ error: 'from and to must be positive integer versions' });
+    }
     
-    // Debug log the first slide text if available
-    if (dbPresentation.slideTexts && dbPresentation.slideTexts.length > 0) {
-      console.log(`📝 First slide text preview: ${dbPresentation.slideTexts[0].substring(0, 100)}...`);
+    const fromVersion = presentationAtVersion(presentation, from);
+    const toVersion = presentationAtVersion(presentation, to);
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({ error: `Version ${!fromVersion ? from : to} not found`, currentVersion: currentVersion });
     }
     
-    // Add to memory cache
-    presentations[presentationId] = dbPresentation;
+    const changes = compareVersionSlides(
+      await describeVersionSlides(fromVersion),
+      await describeVersionSlides(toVersion)
+    );
     
-    // Update topic indexes
-    (dbPresentation.topics || []).forEach(topic => {
-      topic = topic.toLowerCase();
-      if (!presentationsByTopic[topic]) {
-        presentationsByTopic[topic] = [];
-      }
-      if (!presentationsByTopic[topic].includes(presentationId)) {
-        presentationsByTopic[topic].push(presentationId);
-      }
+    const summary = { unchanged: 0, modified: 0, moved: 0, inserted: 0, removed: 0 };
+    changes.forEach(change => {
+      summary[change.type]++;
     });
     
-    // Track this view
-    if (userId) {
-      // Update view count
-      await Presentation.findOneAndUpdate(
-        { id: presentationId },
-        { $inc: { viewCount: 1 } }
-      );
-      
-      // Add to user history
-      if (!userPresentationHistory[userId]) {
-        userPresentationHistory[userId] = [];
-      }
-      if (!userPresentationHistory[userId].includes(presentationId)) {
-        userPresentationHistory[userId].push(presentationId);
-      }
+    res.json({
+      id: presentationId,
+      from: from,
+      to: to,
+      fromSlideCount: (fromVersion.slides || []).length,
+      toSlideCount: (toVersion.slides || []).length,
+      summary: summary,
+      changes: changes
+    });
+  } catch (err) {
+    console.error(`❌ Error comparing versions: ${err}`);
+    res.status(500).json({ error: 'Could not compare versions' });
+  }
+});
+
+// Make an existing revision the current one
+app.post('/presentation/:id/versions/:version/current', async (req, res) => {
+  const presentationId = req.params.id;
+  const version = Number(req.params.version);
+  
+  try {
+    const presentation = await Presentation.findOne({ id: presentationId, isDeleted: false }).lean();
+    if (!presentation) {
+      return res.status(404).json({ error: 'Presentation not found' });
+    }
+    
+    const revisions = listRevisions(presentation);
+    const revision = revisions.find(item => item.version === version);
+    if (!revision) {
+      return res.status(404).json({ error: `Version ${req.params.version} not found` });
     }
     
-    return res.json(dbPresentation);
+    const updated = await Presentation.findOneAndUpdate(
+      { id: presentationId, isDeleted: false },
+      revisionUpdate(revision, { currentVersion: version, revisions: revisions }),
+      { new: true, runValidators: true }
+    ).lean();
+    
+    presentations[presentationId] = updated;
+    console.log(`✅ Presentation ${presentationId} now shows version ${version}`);
+    res.json({ success: true, id: presentationId, currentVersion: version });
   } catch (err) {
-    console.error(`❌ Error fetching presentation from database: ${err}`);
-    return res.status(500).json({ error: 'Database error' });
+    console.error(`❌ Error switching version: ${err}`);
+    res.status(500).json({ error: 'Database error' });
   }
 });
 
@@ -1167,6 +5858,12 @@ app.get('/fix-presentation/:id', async (req, res) => {
     // Update the presentation
     presentation.slides = slides;
     presentation.slideTexts = slideTexts;
+    presentation.slideItems = await buildSlideItems({
+      slides: slides,
+      slideTexts: slideTexts,
+      placeholderSlides: presentation.placeholderSlides,
+      isPlaceholder: presentation.isPlaceholder
+    });
     await presentation.save();
     
     // Clear cache
@@ -1175,13 +5872,278 @@ app.get('/fix-presentation/:id', async (req, res) => {
     res.json({
       message: 'Fixed presentation',
       slides: slides.length,
-      slideTexts: slideTexts.length
+      slideTexts: slideTexts.length,
+      slideItems: presentation.slideItems.length
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Create a presentation from images - ordered 'images' files or an 'archive' ZIP - responds 202 with the job id
+app.post('/presentations/images', trackUploadProgress, imageSetUpload.fields([
+  { name: 'images', maxCount: MAX_IMAGE_SET_FILES },
+  { name: 'archive', maxCount: 1 }
+]), async (req, res) => {
+  const imageFiles = (req.files && req.files.images) || [];
+  const archiveFile = req.files && req.files.archive ? req.files.archive[0] : null;
+  const discardUploads = () => {
+    [...imageFiles, ...(archiveFile ? [archiveFile] : [])].forEach(file => {
+      fs.unlink(file.path, (err) => {
+        if (err) console.error(`❌ Error deleting uploaded file: ${err.message}`);
+      });
+    });
+  };
+  
+  if (!archiveFile && imageFiles.length === 0) {
+    return res.status(400).json({ error: 'No images uploaded (use the "images" field or an "archive" ZIP)' });
+  }
+  if (archiveFile && imageFiles.length > 0) {
+    discardUploads();
+    return res.status(400).json({ error: 'Send either "images" files or an "archive", not both' });
+  }
+  
+  let captions;
+  let renderProfile;
+  try {
+    captions = parseImageCaptions(req.body.captions);
+  } catch (captionError) {
+    discardUploads();
+    return res.status(400).json({ error: `Invalid captions: ${captionError.message}` });
+  }
+  try {
+    renderProfile = parseRenderProfile(req.body);
+  } catch (profileError) {
+    discardUploads();
+    return res.status(400).json({ error: `Invalid rendering profile: ${profileError.message}` });
+  }
+  
+  // Images in slide order: upload order for files, natural name order inside an archive
+  let images;
+  const inputDir = path.join(__dirname, 'uploads', `${Date.now()}-${uuidv4()}-images`);
+  try {
+    if (archiveFile) {
+      const archive = await openCheckedArchive(archiveFile.path);
+      images = archive.getEntries()
+        .filter(entry => !entry.isDirectory && !isHiddenArchiveEntry(entry.entryName) &&
+          IMAGE_SET_EXTENSIONS.includes(path.extname(entry.entryName).toLowerCase()))
+        .sort((a, b) => a.entryName.localeCompare(b.entryName, undefined, { numeric: true }))
+        .map(entry => ({ name: entry.entryName, size: entry.header.size, read: () => entry.getData() }));
+      // Uploaded files are capped by multer; archive entries only have their size in the directory
+      const oversized = images.find(image => image.size > MAX_UPLOAD_BYTES);
+      if (oversized) {
+        throw uploadRejection(413, `${oversized.name} is larger than the ${MAX_UPLOAD_BYTES} byte limit`);
+      }
+      if (images.length === 0) {
+        throw uploadRejection(422, `The archive contains no images (expected ${IMAGE_SET_EXTENSIONS.join(', ')})`);
+      }
+      if (images.length > MAX_IMAGE_SET_FILES) {
+        throw uploadRejection(413, `The archive contains ${images.length} images (limit ${MAX_IMAGE_SET_FILES})`);
+      }
+    } else {
+      images = imageFiles.map(file => ({ name: file.originalname, read: () => fs.readFileSync(file.path) }));
+    }
+    
+    // The job owns a directory of the images; zero-padded names keep the slide order
+    fs.mkdirSync(inputDir, { recursive: true });
+    images.forEach((image, index) => {
+      const data = image.read();
+      const format = detectImageFormat(data);
+      if (!format) {
+        throw uploadRejection(415, `${image.name} is not a PNG or JPEG image`);
+      }
+      fs.writeFileSync(path.join(inputDir, `${String(index + 1).padStart(4, '0')}.${format}`), data);
+    });
+  } catch (imageError) {
+    discardUploads();
+    fs.rm(inputDir, { recursive: true, force: true }, () => {});
+    return res.status(imageError.status || 422).json({ error: imageError.message });
+  }
+  discardUploads();
+  
+  const imageCaptions = images.map((image, index) => {
+    const byName = captions.byName[image.name.toLowerCase()] ?? captions.byName[path.basename(image.name).toLowerCase()];
+    return String(captions.byIndex[index] ?? byName ?? '');
+  });
+  
+  const originalName = archiveFile ? archiveFile.originalname : images[0].name;
+  console.log(`🖼️  Received ${images.length} images for a new presentation (${originalName})`);
+  
+  const jobId = uuidv4();
+  const presentationId = uuidv4();
+  const now = new Date();
+  const job = {
+    id: jobId,
+    presentationId: presentationId,
+    status: 'queued',
+    originalName: originalName,
+    inputFormat: 'images',
+    inputPath: inputDir,
+    captions: imageCaptions,
+    uploadId: req.uploadId,
+    renderProfile: renderProfile,
+    metadata: {
+      title: req.body.title || originalName.replace(/\.[^/.]+$/, ""),
+      summary: req.body.summary || "",
+      author: req.body.author || "Anonymous",
+      authorId: req.body.authorId || uuidv4(),
+      topics: req.body.topics ? (Array.isArray(req.body.topics) ? req.body.topics : [req.body.topics]) : []
+    },
+    createdAt: now,
+    updatedAt: now
+  };
+  
+  try {
+    await registerConversionJob(job);
+  } catch (dbError) {
+    console.error(`❌ CRITICAL: Failed to save conversion job to database: ${dbError}`);
+    removeJobInput(inputDir);
+    return res.status(500).json({
+      error: "Failed to save conversion job to database",
+      details: dbError.message,
+      status: "database_error"
+    });
+  }
+  
+  enqueueConversionJob(jobId);
+  
+  res.status(202).json({
+    jobId: jobId,
+    uploadId: req.uploadId,
+    progressUrl: `/upload-progress/${req.uploadId}`,
+    id: presentationId,
+    originalName: originalName,
+    title: job.metadata.title,
+    imageCount: images.length,
+    renderProfile: renderProfile,
+    status: job.status,
+    statusUrl: `/jobs/${jobId}`,
+    eventsUrl: `/jobs/${jobId}/events`
+  });
+});
+
+// Create a presentation from Markdown - slides separated by --- lines - responds 202 with the job id
+app.post('/presentations/markdown', trackUploadProgress, markdownUpload.fields([
+  { name: 'markdown', maxCount: 1 },
+  { name: 'assets', maxCount: MAX_IMAGE_SET_FILES }
+]), async (req, res) => {
+  const markdownFile = req.files && req.files.markdown ? req.files.markdown[0] : null;
+  const assetFiles = (req.files && req.files.assets) || [];
+  const discardUploads = () => {
+    [...(markdownFile ? [markdownFile] : []), ...assetFiles].forEach(file => {
+      fs.unlink(file.path, (err) => {
+        if (err) console.error(`❌ Error deleting uploaded file: ${err.message}`);
+      });
+    });
+  };
+  
+  // The Markdown comes as a file or as a plain form field
+  let markdown = typeof req.body.markdown === 'string' ? req.body.markdown : '';
+  if (markdownFile) {
+    markdown = markdownFile.size <= MAX_MARKDOWN_BYTES ? fs.readFileSync(markdownFile.path, 'utf8') : null;
+  }
+  if (markdown === null || Buffer.byteLength(markdown) > MAX_MARKDOWN_BYTES) {
+    discardUploads();
+    return res.status(413).json({ error: `Markdown is larger than the ${MAX_MARKDOWN_BYTES} byte limit` });
+  }
+  
+  const sources = splitMarkdownSlides(markdown);
+  if (sources.length === 0) {
+    discardUploads();
+    return res.status(400).json({ error: 'No Markdown slides uploaded (send a "markdown" file or form field)' });
+  }
+  if (sources.length > MAX_MARKDOWN_SLIDES) {
+    discardUploads();
+    return res.status(422).json({ error: `The Markdown has ${sources.length} slides (limit ${MAX_MARKDOWN_SLIDES})` });
+  }
+  
+  let renderProfile;
+  try {
+    renderProfile = parseRenderProfile(req.body);
+  } catch (profileError) {
+    discardUploads();
+    return res.status(400).json({ error: `Invalid rendering profile: ${profileError.message}` });
+  }
+  
+  // The job owns a directory with the source and the images it references
+  const inputDir = path.join(__dirname, 'uploads', `${Date.now()}-${uuidv4()}-markdown`);
+  try {
+    fs.mkdirSync(path.join(inputDir, 'assets'), { recursive: true });
+    fs.writeFileSync(path.join(inputDir, 'slides.md'), markdown);
+    // Numbered so images with the same file name from different folders don't overwrite each other
+    const storedAssets = assetFiles.map((file, index) => {
+      const data = fs.readFileSync(file.path);
+      if (!detectImageFormat(data)) {
+        throw uploadRejection(415, `${file.originalname} is not a PNG or JPEG image`);
+      }
+      const fileName = `${String(index + 1).padStart(3, '0')}-${markdownAssetName(file.originalname)}`;
+      fs.writeFileSync(path.join(inputDir, 'assets', fileName), data);
+      return { fileName: fileName, path: markdownAssetPath(file.originalname) };
+    });
+    fs.writeFileSync(path.join(inputDir, 'assets.json'), JSON.stringify(storedAssets));
+  } catch (assetError) {
+    discardUploads();
+    fs.rm(inputDir, { recursive: true, force: true }, () => {});
+    return res.status(assetError.status || 500).json({ error: assetError.message });
+  }
+  discardUploads();
+  
+  const originalName = markdownFile ? markdownFile.originalname : 'slides.md';
+  const firstHeading = parseMarkdownSlide(sources[0], () => '').structure.title;
+  console.log(`📝 Received Markdown deck with ${sources.length} slides and ${assetFiles.length} images (${originalName})`);
+  
+  const jobId = uuidv4();
+  const presentationId = uuidv4();
+  const now = new Date();
+  const job = {
+    id: jobId,
+    presentationId: presentationId,
+    status: 'queued',
+    originalName: originalName,
+    inputFormat: 'markdown',
+    inputPath: inputDir,
+    uploadId: req.uploadId,
+    renderProfile: renderProfile,
+    metadata: {
+      title: req.body.title || firstHeading || (markdownFile ? originalName.replace(/\.[^/.]+$/, "") : 'Untitled presentation'),
+      summary: req.body.summary || "",
+      author: req.body.author || "Anonymous",
+      authorId: req.body.authorId || uuidv4(),
+      topics: req.body.topics ? (Array.isArray(req.body.topics) ? req.body.topics : [req.body.topics]) : []
+    },
+    createdAt: now,
+    updatedAt: now
+  };
+  
+  try {
+    await registerConversionJob(job);
+  } catch (dbError) {
+    console.error(`❌ CRITICAL: Failed to save conversion job to database: ${dbError}`);
+    removeJobInput(inputDir);
+    return res.status(500).json({
+      error: "Failed to save conversion job to database",
+      details: dbError.message,
+      status: "database_error"
+    });
+  }
+  
+  enqueueConversionJob(jobId);
+  
+  res.status(202).json({
+    jobId: jobId,
+    uploadId: req.uploadId,
+    progressUrl: `/upload-progress/${req.uploadId}`,
+    id: presentationId,
+    originalName: originalName,
+    title: job.metadata.title,
+    slideCount: sources.length,
+    renderProfile: renderProfile,
+    status: job.status,
+    statusUrl: `/jobs/${jobId}`,
+    eventsUrl: `/jobs/${jobId}/events`
+  });
+});
+
 // Simplified: Forward the metadata to the convert endpoint
 app.post('/presentations', upload.single('presentation'), (req, res) => {
   if (!req.file) {
@@ -1247,6 +6209,9 @@ app.get('/diag/:id', async (req, res) => {
       id: doc.id,
       title: doc.title,
       slideCount: doc.slideCount,
+      hasSlideItems: !!doc.slideItems,
+      slideItemsLength: doc.slideItems?.length || 0,
+      firstSlideItem: doc.slideItems?.[0] || 'NONE',
       hasSlides: !!doc.slides,
       slidesLength: doc.slides?.length || 0,
       firstSlideURL: doc.slides?.[0] || 'NONE',
@@ -1261,6 +6226,76 @@ app.get('/diag/:id', async (req, res) => {
 });
 
 
+// Search presentation titles, summaries, slide text and speaker notes
+app.get('/presentations/search', async (req, res) => {
+  if (req.query.q !== undefined && typeof req.query.q !== 'string') {
+    return res.status(400).json({ error: 'Search query (q) must be a single value' });
+  }
+  const query = (req.query.q || '').trim();
+  if (!query) {
+    return res.status(400).json({ error: 'Missing search query (q)' });
+  }
+  
+  console.log(`🔍 Searching presentations for: ${query}`);
+  
+  const pattern = new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+  
+  // Which slides matched, with a short snippet around the match
+  const findSlideMatches = (pres) => {
+    const matches = [];
+    const addMatches = (values, field) => {
+      (values || []).forEach((value, index) => {
+        const position = value ? value.search(pattern) : -1;
+        if (position >= 0) {
+          matches.push({
+            slide: index + 1,
+            field: field,
+            snippet: value.substring(Math.max(0, position - 40), position + query.length + 40)
+          });
+        }
+      });
+    };
+    addMatches((pres.slideStructure || []).map(structure => structure?.title), 'title');
+    addMatches(pres.slideTexts, 'text');
+    addMatches(pres.slideNotes, 'notes');
+    return matches;
+  };
+  
+  const matchesPresentation = (pres) => pattern.test(pres.title || '') ||
+    pattern.test(pres.summary || '') ||
+    findSlideMatches(pres).length > 0;
+  
+  try {
+    const dbPresentations = await Presentation.find({
+      isDeleted: false,
+      $or: [
+        { title: { $regex: pattern } },
+        { summary: { $regex: pattern } },
+        { slideTexts: { $regex: pattern } },
+        { slideNotes: { $regex: pattern } },
+        { 'slideStructure.title': { $regex: pattern } }
+      ]
+    }).lean();
+    
+    console.log(`✅ Found ${dbPresentations.length} presentations matching '${query}' in database`);
+    
+    res.json({
+      presentations: dbPresentations.map(pres => ({ ...pres, matches: findSlideMatches(pres) }))
+    });
+  } catch (err) {
+    console.error(`❌ Error searching presentations: ${err}`);
+    
+    // Fallback to memory cache if database fails
+    const cachedMatches = Object.values(presentations)
+      .filter(pres => !pres.isDeleted && matchesPresentation(pres))
+      .map(pres => ({ ...pres, matches: findSlideMatches(pres) }));
+    
+    console.log(`⚠️  Database error, using memory cache for search '${query}': ${cachedMatches.length} presentations`);
+    
+    res.json({ presentations: cachedMatches });
+  }
+});
+
 // Get presentations by topic
 app.get('/presentations/topic/:topic', async (req, res) => {
   const topic = req.params.topic.toLowerCase();
@@ -1609,6 +6644,17 @@ app.get('/status', async (req, res) => {
   }
 });
 
+// Re-run the slideItems migration for documents that still only have legacy arrays
+app.post('/admin/migrate-slide-items', async (req, res) => {
+  console.log(`🔄 Manual slideItems migration requested...`);
+  const migratedCount = await migratePresentationSlideItems();
+  res.json({
+    success: true,
+    message: `Migrated ${migratedCount} presentations to slideItems`,
+    migratedCount: migratedCount
+  });
+});
+
 // MANUAL DATABASE SYNC ENDPOINT for troubleshooting
 app.post('/admin/sync', async (req, res) => {
   try {
@@ -1642,11 +6688,60 @@ app.post('/admin/sync', async (req, res) => {
   }
 });
 
-// Progress tracking endpoint for uploads
+// Issue an upload id before starting the upload, to be sent as X-Upload-Id on POST /convert
+app.post('/upload-progress', (req, res) => {
+  const entry = getUploadProgress(uuidv4());
+  res.status(201).json({
+    uploadId: entry.uploadId,
+    progressUrl: `/upload-progress/${entry.uploadId}`
+  });
+});
+
+// Progress tracking endpoint for uploads - JSON by default, Server-Sent Events when requested
 app.get('/upload-progress/:id', (req, res) => {
-  // This would be implemented with WebSockets or Server-Sent Events in a full implementation
-  // For now, just return a placeholder
-  res.json({ progress: 0, status: 'waiting' });
+  const uploadId = req.params.id;
+  if (!isValidUploadId(uploadId)) {
+    return res.status(400).json({ error: 'Invalid upload id' });
+  }
+  
+  // Only look the id up - creating entries here would let any caller grow the map. Ids from
+  // POST /upload-progress exist (as 'waiting') before their upload starts
+  const entry = uploadProgress[uploadId];
+  if (!entry) {
+    return res.status(404).json({ error: 'Upload not found' });
+  }
+  
+  const wantsStream = req.query.stream === 'true' || req.accepts(['json', 'text/event-stream']) === 'text/event-stream';
+  if (!wantsStream) {
+    return res.json(entry);
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  
+  const sendProgress = (snapshot) => {
+    res.write(`event: progress\ndata: ${JSON.stringify(snapshot)}\n\n`);
+    if (TERMINAL_JOB_STATES.includes(snapshot.status)) {
+      cleanup();
+      res.end();
+    }
+  };
+  
+  // Keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    jobEvents.removeListener(`upload:${uploadId}`, sendProgress);
+  };
+  
+  jobEvents.on(`upload:${uploadId}`, sendProgress);
+  req.on('close', cleanup);
+  
+  sendProgress({ ...entry });
 });
 
 // Clear cache endpoint
@@ -1658,9 +6753,31 @@ app.get('/clear-cache', (req, res) => {
 // Error handler
 app.use((err, req, res, next) => {
   console.error(`❌ Server error: ${err.stack}`);
+  
+  // Let progress subscribers know the upload was rejected
+  if (req.uploadId) {
+    updateUploadProgress(req.uploadId, { status: 'failed', error: err.message });
+  }
+  
+  if (err.code === 'LIMIT_FILE_SIZE') {
+    return res.status(413).json({ error: `File is larger than the ${MAX_UPLOAD_BYTES} byte limit`, maxBytes: MAX_UPLOAD_BYTES });
+  }
+  if (err.status) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  
   res.status(500).json({ error: err.message || 'Something went wrong!' });
 });
 
+// Take the pooled office instances and running tools down with the server
+process.on('exit', stopChildProcesses);
+['SIGINT', 'SIGTERM'].forEach((signalName) => {
+  process.on(signalName, () => {
+    stopChildProcesses();
+    process.exit(0);
+  });
+});
+
 // Initialize database connection and start server
 mongoose.connect(mongoUri, {
   useNewUrlParser: true,
@@ -1668,29 +6785,19 @@ mongoose.connect(mongoUri, {
 }).then(() => {
   console.log('✅ Connected to MongoDB database');
   
-  // Load presentations from database on startup
-  loadPresentationsFromDatabase().then(() => {
+  // Convert old documents first, then load presentations from database on startup
+  migratePresentationSlideItems().then(() => loadPresentationsFromDatabase()).then(() => {
     console.log(`🚀 Server startup complete with ${Object.keys(presentations).length} presentations loaded`);
+    
+    // Pick up conversions that were queued or running when the server stopped
+    return resumePendingJobs();
   });
   
   // Start the server
   app.listen(port, () => {
     console.log(`🚀 PowerPoint Conversion Server (v1.6 with FIXED MongoDB) running on port ${port}`);
-    
-    // Check if LibreOffice is installed
-    const libreOfficeInstalled = checkLibreOfficeInstallation();
-    if (!libreOfficeInstalled) {
-      console.error('⚠️  WARNING: LibreOffice is not installed. Conversion functionality will not work!');
-      
-      // Try to install LibreOffice and PDF utilities
-      try {
-        console.log('📦 Attempting to install LibreOffice and PDF utilities on server startup...');
-        execSync('apt-get update && apt-get install -y libreoffice poppler-utils imagemagick', { stdio: 'inherit' });
-        console.log('✅ Installation completed.');
-      } catch (installError) {
-        console.error('❌ Failed to automatically install LibreOffice:', installError.message);
-      }
-    }
+    detectCapabilities();
+    initOfficePool();
   });
 }).catch(err => {
   console.error(`❌ Failed to connect to MongoDB: ${err}`);
@@ -1699,5 +6806,7 @@ mongoose.connect(mongoUri, {
   // Start the server anyway, but without database functionality
   app.listen(port, () => {
     console.log(`🚀 PowerPoint Conversion Server (v1.6 fallback mode) running on port ${port}`);
+    detectCapabilities();
+    initOfficePool();
   });
 });